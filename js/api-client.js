@@ -13,7 +13,43 @@ if (window.location.hostname && !window.location.hostname.includes('pages.dev')
     console.timeEnd = function() {};
 }
 
-const API_BASE = 'https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev';
+// API host: production by default. Staging/local copies point at their own worker with
+// <meta name="hikari-api-url" content="https://...">. On localhost only, localStorage
+// "hikari_api_url" overrides it for a quick test - anywhere else a stray script could use it
+// to send admin logins and tokens to another host.
+// Everything else (site URL, assets URL, environment) comes from GET /api/config.
+const DEFAULT_API_BASE = 'https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev';
+const LOCAL_API_BASE = 'http://localhost:8787'; // wrangler dev
+
+function resolveApiBase() {
+    const meta = document.querySelector('meta[name="hikari-api-url"]')?.content;
+    const hostname = window.location.hostname;
+    const isLocal = hostname === 'localhost' || hostname === '127.0.0.1';
+    let override = null;
+    if (isLocal) {
+        try {
+            override = localStorage.getItem('hikari_api_url');
+        } catch (e) {
+            // Storage disabled - ignore
+        }
+    }
+    return (meta || override || (isLocal ? LOCAL_API_BASE : DEFAULT_API_BASE)).replace(/\/+$/, '');
+}
+
+const API_BASE = resolveApiBase();
+
+// Public config from the worker, fetched once per page
+let publicConfigPromise = null;
+
+function getPublicConfig() {
+    if (!publicConfigPromise) {
+        publicConfigPromise = apiRequest('/api/config').catch(error => {
+            publicConfigPromise = null;
+            throw error;
+        });
+    }
+    return publicConfigPromise;
+}
 
 // Storage for auth token - using sessionStorage so token is cleared on tab close/refresh
 const AUTH_KEY = 'hikari_auth_token';
@@ -30,6 +66,36 @@ function removeToken() {
     sessionStorage.removeItem(AUTH_KEY);
 }
 
+// "Trusted device" token (skips 2FA for 30 days) - kept across sessions on purpose
+const TRUSTED_DEVICE_KEY = 'hikari_trusted_device';
+
+// Current admin user (role + permissions), set once the session is verified
+let currentUser = null;
+
+function hasPermission(permission) {
+    const permissions = currentUser?.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Hide every element marked with data-permission="..." that the current role lacks.
+// Uses an injected stylesheet so elements rendered later are covered too.
+function applyPermissions() {
+    if (!currentUser) return;
+    const granted = currentUser.permissions || [];
+    const allowed = granted.map(p => `:not([data-permission="${p}"])`).join('');
+
+    let style = document.getElementById('hikari-permissions');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'hikari-permissions';
+        document.head.appendChild(style);
+    }
+    style.textContent = granted.includes('*')
+        ? ''
+        : `[data-permission]${allowed} { display: none !important; }`;
+    document.body.dataset.role = currentUser.role;
+}
+
 // API request helper
 async function apiRequest(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
@@ -50,7 +116,10 @@ async function apiRequest(endpoint, options = {}) {
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(data.error || 'API request failed');
+            const error = new Error(data.error || 'API request failed');
+            // Validation errors: { 'section.key': message }
+            if (data.fields) error.fields = data.fields;
+            throw error;
         }
         
         // Normalize response: items -> data for consistency
@@ -65,17 +134,33 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
+// WebAuthn helpers - the API exchanges binary fields as base64url strings
+function base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64Url(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 // ===== AUTH API =====
 const HikariAuth = {
     async login(email, password) {
         try {
+            const trustedDevice = localStorage.getItem(TRUSTED_DEVICE_KEY);
             const data = await apiRequest('/api/auth/login', {
                 method: 'POST',
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({ email, password, trustedDevice })
             });
             
             // Check if 2FA is required
             if (data.success && data.requires2FA) {
+                // The stored device token (if any) was not accepted
+                localStorage.removeItem(TRUSTED_DEVICE_KEY);
                 return { 
                     success: true, 
                     requires2FA: true, 
@@ -93,16 +178,24 @@ const HikariAuth = {
         }
     },
     
-    async verify2FA(tempToken, code) {
+    async verify2FA(tempToken, code, trustDevice = false) {
         try {
             const data = await apiRequest('/api/auth/verify-2fa', {
                 method: 'POST',
-                body: JSON.stringify({ tempToken, code })
+                body: JSON.stringify({ tempToken, code, trustDevice })
             });
             
             if (data.success && data.token) {
                 setToken(data.token);
-                return { success: true, user: data.user };
+                if (data.trustedDeviceToken) {
+                    localStorage.setItem(TRUSTED_DEVICE_KEY, data.trustedDeviceToken);
+                }
+                return {
+                    success: true,
+                    user: data.user,
+                    usedRecoveryCode: !!data.usedRecoveryCode,
+                    remainingRecoveryCodes: data.remainingRecoveryCodes
+                };
             }
             return { success: false, error: data.error || 'Verification failed' };
         } catch (error) {
@@ -163,6 +256,8 @@ const HikariAuth = {
                 window.location.href = 'login.html';
                 return false;
             }
+            currentUser = result.user;
+            applyPermissions();
             return true;
         } catch (error) {
             console.error('Session verification failed:', error);
@@ -213,10 +308,234 @@ const HikariAuth = {
         } catch (error) {
             return { success: false, error: error.message };
         }
+    },
+
+    // Session Methods (own account)
+    async getSessions() {
+        try {
+            return await apiRequest('/api/auth/sessions');
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    async revokeSession(id) {
+        try {
+            return await apiRequest(`/api/auth/sessions/${id}`, { method: 'DELETE' });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Sign out every other device
+    async revokeOtherSessions() {
+        try {
+            return await apiRequest('/api/auth/sessions', { method: 'DELETE' });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Every device (this one included) will ask for the 2FA code again
+    async forgetTrustedDevices() {
+        try {
+            const result = await apiRequest('/api/auth/trusted-devices', { method: 'DELETE' });
+            localStorage.removeItem(TRUSTED_DEVICE_KEY);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Passkey Methods (WebAuthn)
+    isPasskeySupported() {
+        return !!(window.PublicKeyCredential && navigator.credentials);
+    },
+
+    async loginWithPasskey() {
+        try {
+            const { options } = await apiRequest('/api/auth/passkeys/login/options', { method: 'POST' });
+
+            const credential = await navigator.credentials.get({
+                publicKey: {
+                    ...options,
+                    challenge: base64UrlToBuffer(options.challenge)
+                }
+            });
+
+            const data = await apiRequest('/api/auth/passkeys/login/verify', {
+                method: 'POST',
+                body: JSON.stringify({
+                    credential: {
+                        id: credential.id,
+                        response: {
+                            clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+                            authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+                            signature: bufferToBase64Url(credential.response.signature),
+                            userHandle: credential.response.userHandle ? bufferToBase64Url(credential.response.userHandle) : null
+                        }
+                    }
+                })
+            });
+
+            if (data.success && data.token) {
+                setToken(data.token);
+                return { success: true, user: data.user };
+            }
+            return { success: false, error: data.error || 'Passkey login failed' };
+        } catch (error) {
+            // NotAllowedError = the user closed the browser prompt
+            return { success: false, cancelled: error.name === 'NotAllowedError', error: error.message };
+        }
+    },
+
+    async registerPasskey(name) {
+        try {
+            const { options } = await apiRequest('/api/auth/passkeys/register/options', { method: 'POST' });
+
+            const credential = await navigator.credentials.create({
+                publicKey: {
+                    ...options,
+                    challenge: base64UrlToBuffer(options.challenge),
+                    user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+                    excludeCredentials: options.excludeCredentials.map(c => ({ ...c, id: base64UrlToBuffer(c.id) }))
+                }
+            });
+
+            return await apiRequest('/api/auth/passkeys/register/verify', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name,
+                    credential: {
+                        id: credential.id,
+                        response: {
+                            clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+                            attestationObject: bufferToBase64Url(credential.response.attestationObject),
+                            transports: credential.response.getTransports ? credential.response.getTransports() : []
+                        }
+                    }
+                })
+            });
+        } catch (error) {
+            return { success: false, cancelled: error.name === 'NotAllowedError', error: error.message };
+        }
+    },
+
+    async getPasskeys() {
+        try {
+            return await apiRequest('/api/auth/passkeys');
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    async deletePasskey(id) {
+        try {
+            return await apiRequest(`/api/auth/passkeys/${id}`, { method: 'DELETE' });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Returns a fresh set of one-time recovery codes (shown once)
+    async regenerateRecoveryCodes(password) {
+        try {
+            return await apiRequest('/api/auth/2fa/recovery-codes', {
+                method: 'POST',
+                body: JSON.stringify({ password })
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    async changePassword(currentPassword, newPassword) {
+        try {
+            return await apiRequest('/api/auth/change-password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Sends a reset link by email (same answer whether or not the account exists)
+    async forgotPassword(email) {
+        try {
+            return await apiRequest('/api/auth/forgot-password', {
+                method: 'POST',
+                body: JSON.stringify({ email })
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Invitation / reset links (public - the token is the credential)
+    async checkSetupToken(token) {
+        try {
+            return await apiRequest(`/api/auth/setup-password?token=${encodeURIComponent(token)}`);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    async setupPassword(token, password) {
+        try {
+            return await apiRequest('/api/auth/setup-password', {
+                method: 'POST',
+                body: JSON.stringify({ token, password })
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     }
 };
 
 // ===== CONTENT API =====
+// Field id used by the admin forms (e.g., section='hero', key='title' -> 'hero_title')
+function contentFieldId(section, key) {
+    return section === key ? section : `${section}_${key}`;
+}
+
+// Declared content fields (GET /api/admin/content/schema), fetched once per page
+let contentSchemaPromise = null;
+
+function loadContentSchema() {
+    if (!contentSchemaPromise) {
+        contentSchemaPromise = apiRequest('/api/admin/content/schema').then(result => {
+            const fields = new Map();
+            for (const [section, { fields: sectionFields }] of Object.entries(result.sections)) {
+                for (const [key, field] of Object.entries(sectionFields)) {
+                    fields.set(contentFieldId(section, key), { section, key, ...field });
+                }
+            }
+            return { sections: result.sections, fields };
+        }).catch(error => {
+            contentSchemaPromise = null;
+            throw error;
+        });
+    }
+    return contentSchemaPromise;
+}
+
+// Field id -> { section, key, type, ... } from the schema (ids are not split on '_':
+// 'contact_velo_bus' is contact.velo_bus, not contact.velo + bus)
+async function resolveContentField(field) {
+    const { fields } = await loadContentSchema();
+    const resolved = fields.get(field);
+    if (!resolved) throw new Error(`Unknown content field: ${field}`);
+    return resolved;
+}
+
+// Site languages - French is the source, the others fall back to it field by field
+const SITE_LANGUAGES = [
+    { code: 'fr', label: 'Français', locale: 'fr_FR' },
+    { code: 'en', label: 'English', locale: 'en_GB' },
+    { code: 'ja', label: '日本語', locale: 'ja_JP' }
+];
+
 const HikariContent = {
     async getAll() {
         const result = await apiRequest('/api/content');
@@ -233,18 +552,9 @@ const HikariContent = {
                             ? JSON.stringify(value) 
                             : String(value);
                         
-                        // Special handling for gallery - when section == key (e.g., gallery1.gallery1)
-                        // use just the section as the key
-                        let finalKey;
-                        if (section === key || section.startsWith('gallery')) {
-                            finalKey = section;
-                        } else {
-                            finalKey = `${section}_${key}`;
-                        }
-                        
                         data.push({
                             section,
-                            key: finalKey,
+                            key: contentFieldId(section, key),
                             value: stringValue
                         });
                     }
@@ -255,23 +565,85 @@ const HikariContent = {
         return result;
     },
 
+    fieldId(section, key) {
+        return contentFieldId(section, key);
+    },
+
     async getBySection(section) {
         return apiRequest(`/api/content?section=${section}`);
     },
 
-    async update(key, value, type = 'text') {
-        // Extract section from key (e.g., 'hero_title' -> section='hero', key='title')
-        const parts = key.split('_');
-        const section = parts[0];
-        const actualKey = parts.slice(1).join('_') || key;
+    // The type comes from the schema unless given
+    async update(field, value, type = null) {
+        const { section, key } = await resolveContentField(field);
         
         return apiRequest('/api/admin/content', {
             method: 'PUT',
-            body: JSON.stringify({ section, key: actualKey, value, type })
+            body: JSON.stringify({ section, key, value, ...(type && { type }) })
+        });
+    },
+
+    // Save several fields in one transaction: values = { fieldId: value }.
+    // Drafts by default; { publish: true } puts them live at once (needs content:publish).
+    // Result: { changed, results: [{ field, section, key, status, draft }] } - status is
+    // 'draft', 'published', 'reverted' or 'unchanged'. Nothing is saved if a field is invalid.
+    async updateMany(values, { publish = false } = {}) {
+        const entries = await Promise.all(Object.entries(values).map(async ([field, value]) => {
+            const { section, key } = await resolveContentField(field);
+            return { section, key, value };
+        }));
+        if (entries.length === 0) {
+            return { success: true, published: publish, changed: 0, results: [] };
+        }
+
+        const result = await apiRequest('/api/admin/content/batch', {
+            method: 'POST',
+            body: JSON.stringify({ entries, publish })
+        });
+        result.results.forEach(item => { item.field = contentFieldId(item.section, item.key); });
+        return result;
+    },
+
+    // { sections: { hero: { label, fields: { title: { type, max, ... } } } }, fields: Map(fieldId -> field) }
+    async getSchema() {
+        return loadContentSchema();
+    },
+
+    // Put the schema limits on the form fields present in the page (maxlength, min/max)
+    async applySchema(root = document) {
+        const { fields } = await loadContentSchema();
+        fields.forEach((field, id) => {
+            const element = root.querySelector(`#${CSS.escape(id)}`);
+            if (!element || element.type === 'hidden') return;
+            if (field.type === 'number') {
+                element.min = field.min;
+                element.max = field.max;
+            } else if (field.type !== 'json' && field.max) {
+                element.maxLength = field.max;
+            }
+        });
+        return fields;
+    },
+
+    // Flag the inputs named in a validation error (error.fields from apiRequest); returns how many
+    markFieldErrors(error, root = document) {
+        root.querySelectorAll('.field-error').forEach(element => {
+            element.classList.remove('field-error');
+            element.removeAttribute('title');
+        });
+        let marked = 0;
+        Object.entries(error?.fields || {}).forEach(([path, message]) => {
+            const [section, key] = path.split('.');
+            const element = root.querySelector(`#${CSS.escape(contentFieldId(section, key))}`);
+            if (!element) return;
+            element.classList.add('field-error');
+            element.title = message;
+            marked++;
         });
+        return marked;
     },
 
-    async updateDirect(section, key, value, type = 'text') {
+    async updateDirect(section, key, value, type = null) {
         return apiRequest('/api/admin/content', {
             method: 'PUT',
             body: JSON.stringify({ section, key, value, type })
@@ -280,14 +652,108 @@ const HikariContent = {
 
     async getAllAdmin() {
         return apiRequest('/api/admin/content');
+    },
+
+    // Editor view: live values with pending drafts on top (uncached)
+    async getEditable() {
+        const [live, drafts] = await Promise.all([
+            apiRequest('/api/admin/content'),
+            apiRequest('/api/admin/content/drafts')
+        ]);
+
+        const fields = new Map();
+        live.items.forEach(row => {
+            const key = contentFieldId(row.section, row.key);
+            fields.set(key, { section: row.section, key, value: row.value, draft: false });
+        });
+        drafts.items.forEach(row => {
+            const key = contentFieldId(row.section, row.key);
+            fields.set(key, { section: row.section, key, value: row.value, draft: true, publishedValue: row.published_value });
+        });
+
+        return { success: true, data: [...fields.values()], drafts: drafts.items, expiring: drafts.expiring };
+    },
+
+    async getDrafts() {
+        return apiRequest('/api/admin/content/drafts');
+    },
+
+    async discardDrafts() {
+        return apiRequest('/api/admin/content/drafts', {
+            method: 'DELETE'
+        });
+    },
+
+    // Make every pending draft live - or schedule it: { publishAt, unpublishAt } (ISO dates, optional)
+    async publish(schedule = {}) {
+        return apiRequest('/api/admin/content/publish', {
+            method: 'POST',
+            body: JSON.stringify(schedule)
+        });
+    },
+
+    // Cancel the schedule of one field (section, key) or of every field (no arguments)
+    async unschedule(section = null, key = null) {
+        return apiRequest('/api/admin/content/unschedule', {
+            method: 'POST',
+            body: JSON.stringify(section && key ? { section, key } : {})
+        });
+    },
+
+    // Signed link showing drafts on the real site: { url, token, expiresAt }
+    async createPreviewLink(hours = 24) {
+        return apiRequest('/api/admin/content/preview', {
+            method: 'POST',
+            body: JSON.stringify({ hours })
+        });
+    },
+
+    // Revision history of one field (same field ids as update())
+    async getRevisions(field) {
+        const { section, key } = await resolveContentField(field);
+        const params = new URLSearchParams({ section, key });
+        return apiRequest(`/api/admin/content/revisions?${params}`);
+    },
+
+    // Revision + word diff from the current value to that revision
+    async getRevision(id) {
+        return apiRequest(`/api/admin/content/revisions/${id}`);
+    },
+
+    async restoreRevision(id) {
+        return apiRequest(`/api/admin/content/revisions/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    // Translated values of one language ('en', 'ja')
+    async getTranslations(lang) {
+        return apiRequest(`/api/admin/content/translations?lang=${encodeURIComponent(lang)}`);
+    },
+
+    // Live immediately (no draft); an empty value falls back to French
+    async updateTranslation(field, lang, value) {
+        const { section, key } = await resolveContentField(field);
+        return apiRequest('/api/admin/content/translations', {
+            method: 'PUT',
+            body: JSON.stringify({ section, key, lang, value })
+        });
     }
 };
 
 // ===== MENU API =====
 const HikariMenu = {
-    async getAll(category = null) {
-        const params = category && category !== 'all' ? `?category=${category}` : '';
-        return apiRequest(`/api/menu${params}`);
+    async getAll(category = null, lang = null) {
+        const params = new URLSearchParams();
+        if (category && category !== 'all') params.set('category', category);
+        if (lang) params.set('lang', lang);
+        const query = params.toString();
+        return apiRequest(`/api/menu${query ? `?${query}` : ''}`);
+    },
+
+    // Admin view: includes hidden and scheduled items (uncached)
+    async getAllAdmin() {
+        return apiRequest('/api/admin/menu');
     },
 
     async create(item) {
@@ -304,6 +770,14 @@ const HikariMenu = {
         });
     },
 
+    // Only the thumbnail (thumbnail migration tool)
+    async updateThumbnail(id, thumbnail) {
+        return apiRequest(`/api/admin/menu/${id}/thumbnail`, {
+            method: 'PUT',
+            body: JSON.stringify({ thumbnail })
+        });
+    },
+
     async delete(id) {
         return apiRequest(`/api/admin/menu/${id}`, {
             method: 'DELETE'
@@ -344,8 +818,17 @@ const HikariReservations = {
 
 // ===== GALLERY API =====
 const HikariGallery = {
-    async getAll() {
-        return apiRequest('/api/gallery');
+    // One page of visible photos: { album, page, limit } are all optional
+    async getAll({ album = null, page = 1, limit = null } = {}) {
+        const params = new URLSearchParams({ page });
+        if (album) params.set('album', album);
+        if (limit) params.set('limit', limit);
+        return apiRequest(`/api/gallery?${params}`);
+    },
+
+    // Admin: every photo, hidden ones too
+    async getAllAdmin() {
+        return apiRequest('/api/admin/gallery');
     },
 
     async create(item) {
@@ -355,6 +838,21 @@ const HikariGallery = {
         });
     },
 
+    async update(id, item) {
+        return apiRequest(`/api/admin/gallery/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(item)
+        });
+    },
+
+    // ids: the photos of one album (or all of them), in the new order
+    async reorder(ids) {
+        return apiRequest('/api/admin/gallery/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    },
+
     async delete(id) {
         return apiRequest(`/api/admin/gallery/${id}`, {
             method: 'DELETE'
@@ -362,6 +860,129 @@ const HikariGallery = {
     }
 };
 
+// ===== TESTIMONIALS API =====
+const HikariTestimonials = {
+    // Visible testimonials, in slider order
+    async getAll() {
+        return apiRequest('/api/testimonials');
+    },
+
+    // Admin: hidden ones too
+    async getAllAdmin() {
+        return apiRequest('/api/admin/testimonials');
+    },
+
+    async create(item) {
+        return apiRequest('/api/admin/testimonials', {
+            method: 'POST',
+            body: JSON.stringify(item)
+        });
+    },
+
+    async update(id, item) {
+        return apiRequest(`/api/admin/testimonials/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(item)
+        });
+    },
+
+    // ids: every testimonial, in the new order
+    async reorder(ids) {
+        return apiRequest('/api/admin/testimonials/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    },
+
+    async delete(id) {
+        return apiRequest(`/api/admin/testimonials/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+// ===== SPECIALTIES API =====
+const HikariSpecialties = {
+    // Active specialty cards, in display order; linked ones carry the menu item's name/price/image
+    async getAll(lang = null) {
+        return apiRequest(lang ? `/api/specialties?lang=${encodeURIComponent(lang)}` : '/api/specialties');
+    },
+
+    // Admin: inactive ones too, with their own (per-language) columns
+    async getAllAdmin() {
+        return apiRequest('/api/admin/specialties');
+    },
+
+    async create(item) {
+        return apiRequest('/api/admin/specialties', {
+            method: 'POST',
+            body: JSON.stringify(item)
+        });
+    },
+
+    async update(id, item) {
+        return apiRequest(`/api/admin/specialties/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(item)
+        });
+    },
+
+    // ids: every specialty, in the new order
+    async reorder(ids) {
+        return apiRequest('/api/admin/specialties/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    },
+
+    async delete(id) {
+        return apiRequest(`/api/admin/specialties/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+// ===== ANNOUNCEMENTS API =====
+const HikariAnnouncements = {
+    // Announcements running right now (between their start and end dates), in display order
+    async getAll(lang = null) {
+        return apiRequest(lang ? `/api/announcements?lang=${encodeURIComponent(lang)}` : '/api/announcements');
+    },
+
+    // Admin: disabled, upcoming and ended ones too, with their per-language columns
+    async getAllAdmin() {
+        return apiRequest('/api/admin/announcements');
+    },
+
+    async create(item) {
+        return apiRequest('/api/admin/announcements', {
+            method: 'POST',
+            body: JSON.stringify(item)
+        });
+    },
+
+    async update(id, item) {
+        return apiRequest(`/api/admin/announcements/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(item)
+        });
+    },
+
+    // ids: every announcement, in the new order
+    async reorder(ids) {
+        return apiRequest('/api/admin/announcements/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    },
+
+    async delete(id) {
+        return apiRequest(`/api/admin/announcements/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
 // ===== SETTINGS API =====
 const HikariSettings = {
     async get() {
@@ -393,15 +1014,108 @@ const HikariStats = {
     }
 };
 
+// ===== SECURITY API =====
+const HikariSecurity = {
+    async getLockouts() {
+        return apiRequest('/api/admin/lockouts');
+    },
+
+    async clearLockout(scope, identifier) {
+        return apiRequest(`/api/admin/lockouts/${scope}/${encodeURIComponent(identifier)}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+// ===== AUDIT LOG API =====
+const HikariAudit = {
+    // filters: { entity, action, user_id, entity_id, from, to, page, limit }
+    async list(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '' && value !== 'all') {
+                params.append(key, value);
+            }
+        });
+        const query = params.toString() ? `?${params}` : '';
+        return apiRequest(`/api/admin/audit${query}`);
+    }
+};
+
+// ===== API KEYS API =====
+const HikariApiKeys = {
+    async getAll() {
+        return apiRequest('/api/admin/api-keys');
+    },
+
+    // Returns the plain key once: { key, id, expiresAt }
+    async create(name, scopes, expiresInDays = null) {
+        return apiRequest('/api/admin/api-keys', {
+            method: 'POST',
+            body: JSON.stringify({ name, scopes, expiresInDays })
+        });
+    },
+
+    async revoke(id) {
+        return apiRequest(`/api/admin/api-keys/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+// ===== USERS API =====
+const HikariUsers = {
+    async getAll() {
+        const result = await apiRequest('/api/admin/users');
+        // Normalize: users -> data
+        if (result.success && result.users) {
+            result.data = result.users;
+        }
+        return result;
+    },
+
+    // Returns { token, expiresAt } - use setupLink() to build the URL to share
+    async invite(user) {
+        return apiRequest('/api/admin/users', {
+            method: 'POST',
+            body: JSON.stringify(user)
+        });
+    },
+
+    async update(id, data) {
+        return apiRequest(`/api/admin/users/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async resetPassword(id) {
+        return apiRequest(`/api/admin/users/${id}/reset-password`, {
+            method: 'POST'
+        });
+    },
+
+    async delete(id) {
+        return apiRequest(`/api/admin/users/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    setupLink(token) {
+        return new URL(`setup-password.html?token=${token}`, window.location.href).href;
+    }
+};
+
 // ===== UPLOAD API =====
 
 // Image size configurations for different content types
-// Only gallery images are resized - others use original quality for better display
+// Only gallery thumbnails and testimonial photos are resized - others use original quality for better display
 const CONTENT_IMAGE_SIZES = {
-    'gallery': { width: 600, height: 400, quality: 0.85 },         // Gallery images - small thumbnails
+    'gallery': { width: 600, height: 400, quality: 0.85 },         // Gallery thumbnails - small grid images
+    'testimonial': { width: 160, height: 160, quality: 0.85 },     // Testimonial author photos - square avatars
     // The following are NOT resized - upload original quality:
     // 'about', 'about-secondary', 'signature', 'signature-bg', 
-    // 'specialty-large', 'specialty', 'reservation', 'reservation-bg'
+    // 'specialty', 'reservation', 'reservation-bg', 'gallery-full'
 };
 
 // Resize image on canvas to target dimensions
@@ -570,6 +1284,11 @@ async function deleteImageFromR2(key) {
     }
 }
 
+// Rebuild the KV cache (content, menu, settings) after bulk changes
+async function refreshCache() {
+    return apiRequest('/api/admin/refresh-cache', { method: 'POST' });
+}
+
 // Export main API object with consistent interface
 window.HikariAPI = {
     // Auth methods directly on HikariAPI
@@ -584,25 +1303,56 @@ window.HikariAPI = {
     setup2FA: HikariAuth.setup2FA.bind(HikariAuth),
     verify2FASetup: HikariAuth.verify2FASetup.bind(HikariAuth),
     disable2FA: HikariAuth.disable2FA.bind(HikariAuth),
+    regenerateRecoveryCodes: HikariAuth.regenerateRecoveryCodes.bind(HikariAuth),
+
+    // Session methods
+    getSessions: HikariAuth.getSessions.bind(HikariAuth),
+    revokeSession: HikariAuth.revokeSession.bind(HikariAuth),
+    revokeOtherSessions: HikariAuth.revokeOtherSessions.bind(HikariAuth),
+    forgetTrustedDevices: HikariAuth.forgetTrustedDevices.bind(HikariAuth),
+
+    // Passkey methods
+    isPasskeySupported: HikariAuth.isPasskeySupported.bind(HikariAuth),
+    loginWithPasskey: HikariAuth.loginWithPasskey.bind(HikariAuth),
+    registerPasskey: HikariAuth.registerPasskey.bind(HikariAuth),
+    getPasskeys: HikariAuth.getPasskeys.bind(HikariAuth),
+    deletePasskey: HikariAuth.deletePasskey.bind(HikariAuth),
+
+    // Password change / reset
+    changePassword: HikariAuth.changePassword.bind(HikariAuth),
+    forgotPassword: HikariAuth.forgotPassword.bind(HikariAuth),
+
+    // Invitation / reset links
+    checkSetupToken: HikariAuth.checkSetupToken.bind(HikariAuth),
+    setupPassword: HikariAuth.setupPassword.bind(HikariAuth),
     
     getCurrentUser: function() {
-        const token = getToken();
-        if (!token) return null;
-        try {
-            const payload = JSON.parse(atob(token.split('.')[1]));
-            return { email: payload.email, name: payload.name };
-        } catch (e) {
-            return { email: 'admin@hikari-sushi.fr' };
-        }
+        return currentUser;
     },
 
+    // Role-based access (permissions come from /api/auth/verify)
+    can: hasPermission,
+
+    // Deployment config
+    apiBase: API_BASE,
+    languages: SITE_LANGUAGES,
+    getConfig: getPublicConfig,
+    refreshCache: refreshCache,
+
     // Nested APIs for different resources
     content: HikariContent,
     menu: HikariMenu,
     reservations: HikariReservations,
     gallery: HikariGallery,
+    testimonials: HikariTestimonials,
+    specialties: HikariSpecialties,
+    announcements: HikariAnnouncements,
     settings: HikariSettings,
     stats: HikariStats,
+    security: HikariSecurity,
+    users: HikariUsers,
+    audit: HikariAudit,
+    apiKeys: HikariApiKeys,
     
     // Upload functions
     uploadImage: uploadImage,
@@ -620,3 +1370,7 @@ window.HikariReservations = HikariReservations;
 window.HikariGallery = HikariGallery;
 window.HikariSettings = HikariSettings;
 window.HikariStats = HikariStats;
+window.HikariSecurity = HikariSecurity;
+window.HikariUsers = HikariUsers;
+window.HikariAudit = HikariAudit;
+window.HikariApiKeys = HikariApiKeys;
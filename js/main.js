@@ -74,7 +74,7 @@ async function preloadImages(urls) {
 async function preloadCriticalImages() {
     try {
         // Fetch menu data early
-        const response = await fetch('https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/api/menu');
+        const response = await fetch(`${API_BASE}/api/menu`);
         const result = await response.json();
         
         if (result.success && result.items) {
@@ -114,6 +114,10 @@ if (window.location.hash) {
 }
 
 // ===== PRELOADER =====
+// Resolved once the preloader is gone (announcement modals wait for it)
+let markPreloaderDone;
+const preloaderDone = new Promise(resolve => { markPreloaderDone = resolve; });
+
 window.addEventListener('load', async () => {
     const preloader = document.querySelector('.preloader');
     document.body.classList.add('loading');
@@ -129,6 +133,7 @@ window.addEventListener('load', async () => {
     preloader.classList.add('hidden');
     document.body.classList.remove('loading');
     setTimeout(() => preloader.remove(), 500);
+    markPreloaderDone();
 });
 
 // ===== HERO SLIDESHOW =====
@@ -156,7 +161,7 @@ function startHeroSlideshow() {
 // Load hero images from menu items
 async function loadHeroFromMenu() {
     try {
-        const response = await fetch('https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/api/menu');
+        const response = await fetch(`${API_BASE}/api/menu`);
         const result = await response.json();
         
         if (!result.success || !result.items || result.items.length === 0) {
@@ -423,30 +428,33 @@ tabBtns.forEach(btn => {
 });
 
 // ===== TESTIMONIALS SLIDER =====
+// Starts on the static cards in index.html; loadTestimonials() rebuilds cards and
+// dots from /api/testimonials, however many there are.
 const testimonialTrack = document.querySelector('.testimonial-track');
-const testimonialCards = document.querySelectorAll('.testimonial-card');
+const sliderDots = document.querySelector('.slider-dots');
 const prevBtn = document.querySelector('.slider-btn.prev');
 const nextBtn = document.querySelector('.slider-btn.next');
-const dots = document.querySelectorAll('.dot');
 let currentSlide = 0;
-const totalSlides = testimonialCards.length;
+let totalSlides = document.querySelectorAll('.testimonial-card').length;
 
 function updateSlider() {
     requestAnimationFrame(() => {
         testimonialTrack.style.transform = `translateX(-${currentSlide * 100}%)`;
         
-        dots.forEach((dot, index) => {
+        document.querySelectorAll('.slider-dots .dot').forEach((dot, index) => {
             dot.classList.toggle('active', index === currentSlide);
         });
     });
 }
 
 function nextSlide() {
+    if (totalSlides < 2) return;
     currentSlide = (currentSlide + 1) % totalSlides;
     updateSlider();
 }
 
 function prevSlide() {
+    if (totalSlides < 2) return;
     currentSlide = (currentSlide - 1 + totalSlides) % totalSlides;
     updateSlider();
 }
@@ -456,12 +464,73 @@ if (nextBtn && prevBtn) {
     prevBtn.addEventListener('click', prevSlide);
 }
 
-dots.forEach((dot, index) => {
-    dot.addEventListener('click', () => {
-        currentSlide = index;
+if (sliderDots) {
+    sliderDots.addEventListener('click', (e) => {
+        const dot = e.target.closest('.dot');
+        if (!dot) return;
+        currentSlide = [...sliderDots.children].indexOf(dot);
         updateSlider();
     });
-});
+}
+
+function createTestimonialStars(rating) {
+    const stars = createElement('div', 'stars');
+    for (let s = 1; s <= 5; s++) {
+        stars.appendChild(createElement('i', s <= rating ? 'fas fa-star' : 'far fa-star'));
+    }
+    return stars;
+}
+
+function createTestimonialCard(item) {
+    const card = createElement('div', 'testimonial-card');
+    
+    const quote = createElement('div', 'quote-icon');
+    quote.appendChild(createElement('i', 'fas fa-quote-left'));
+    
+    const author = createElement('div', 'testimonial-author');
+    if (item.photo) {
+        const photo = document.createElement('img');
+        photo.src = item.photo;
+        photo.alt = item.author;
+        photo.loading = 'lazy';
+        photo.decoding = 'async';
+        author.appendChild(photo);
+    }
+    const info = createElement('div', 'author-info');
+    info.append(createElement('h4', '', item.author), createTestimonialStars(item.rating));
+    if (item.source) info.appendChild(createElement('small', 'testimonial-source', item.source));
+    author.appendChild(info);
+    
+    card.append(quote, createElement('p', 'testimonial-text', `"${item.text}"`), author);
+    return card;
+}
+
+async function loadTestimonials() {
+    if (!testimonialTrack) return;
+    try {
+        const response = await fetch(`${API_BASE}/api/testimonials`);
+        const result = await response.json();
+        // Nothing published yet: keep the static cards
+        if (!result.success || !result.items || result.items.length === 0) return;
+        
+        testimonialTrack.replaceChildren(...result.items.map(createTestimonialCard));
+        if (sliderDots) {
+            sliderDots.replaceChildren(...result.items.map((item, index) =>
+                createElement('span', 'dot' + (index === 0 ? ' active' : ''))
+            ));
+        }
+        totalSlides = result.items.length;
+        currentSlide = 0;
+        updateSlider();
+        
+        const sliderNav = document.querySelector('.slider-nav');
+        if (sliderNav) sliderNav.style.display = totalSlides > 1 ? '' : 'none';
+    } catch (error) {
+        console.log('ℹ️ Using static testimonials (API unavailable):', error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadTestimonials);
 
 // Auto slide with visibility check
 let autoSlide;
@@ -603,25 +672,124 @@ if (dateInput) {
     dateInput.setAttribute('min', today);
 }
 
-// ===== LIGHTBOX GALLERY =====
-let galleryImages = [
-    'https://images.unsplash.com/photo-1579871494447-9811cf80d66c?w=1200&h=800&fit=crop',
-    'https://images.unsplash.com/photo-1553621042-f6e147245754?w=1200&h=800&fit=crop',
-    'https://images.unsplash.com/photo-1617196034796-73dfa7b1fd56?w=1200&h=800&fit=crop',
-    'https://images.unsplash.com/photo-1514190051997-0f6f39ca5cde?w=1200&h=800&fit=crop',
-    'https://images.unsplash.com/photo-1617093727343-374698b1b08d?w=1200&h=800&fit=crop',
-    'https://images.unsplash.com/photo-1569718212165-3a8278d5f624?w=1200&h=800&fit=crop'
-];
-
+// ===== GALLERY & LIGHTBOX =====
+// Photos come a page at a time from /api/gallery (loadGallery), filtered by album.
+// The lightbox walks through the page on screen and carries on to the next or
+// previous page at either end. The section stays hidden while there are no photos.
+const GALLERY_PAGE_SIZE = 9;
+const gallerySection = document.getElementById('gallery');
+let galleryImages = []; // photos of the page on screen
+let galleryState = { album: null, page: 1, pages: 1, total: 0 };
+let galleryLoading = null;
 let currentLightboxIndex = 0;
 
+function createGalleryItem(photo, index) {
+    const item = createElement('button', 'gallery-item');
+    item.type = 'button';
+    item.setAttribute('aria-label', photo.caption || uiText.galleryOpen);
+
+    const img = document.createElement('img');
+    img.src = getOptimizedImageUrl(photo.thumbnail_url || photo.image_url, IMAGE_SIZES.gallery.w, IMAGE_SIZES.gallery.h, IMAGE_SIZES.gallery.q);
+    img.alt = photo.caption || '';
+    img.loading = 'lazy';
+    img.decoding = 'async';
+
+    const overlay = createElement('div', 'gallery-overlay');
+    overlay.appendChild(createElement('i', 'fas fa-expand'));
+    if (photo.caption) overlay.appendChild(createElement('span', '', photo.caption));
+
+    item.append(img, overlay);
+    item.addEventListener('click', () => openLightbox(index));
+    return item;
+}
+
+// Album buttons, only when the photos are spread over more than one album
+function renderGalleryFilters(albums) {
+    const filters = gallerySection.querySelector('.gallery-filters');
+    filters.hidden = albums.length < 2;
+    filters.replaceChildren(...[{ key: null }, ...albums].map(({ key }) => {
+        const button = createElement('button', 'gallery-filter' + (key === galleryState.album ? ' active' : ''),
+            key ? uiText.galleryAlbums[key] || key : uiText.galleryAll);
+        button.type = 'button';
+        button.addEventListener('click', () => loadGallery(1, key));
+        return button;
+    }));
+}
+
+function renderGalleryPagination() {
+    const nav = gallerySection.querySelector('.gallery-pagination');
+    const { page, pages } = galleryState;
+    nav.hidden = pages < 2;
+    if (pages < 2) return;
+
+    const pageButton = (target, label, ariaLabel) => {
+        const button = createElement('button', target === page && !ariaLabel ? 'active' : '');
+        button.type = 'button';
+        if (typeof label === 'string') button.textContent = label;
+        else button.appendChild(label);
+        if (ariaLabel) button.setAttribute('aria-label', ariaLabel);
+        if (target === page && !ariaLabel) button.setAttribute('aria-current', 'page');
+        button.disabled = target < 1 || target > pages;
+        button.addEventListener('click', async () => {
+            await loadGallery(target);
+            gallerySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+        return button;
+    };
+
+    nav.replaceChildren(
+        pageButton(page - 1, createElement('i', 'fas fa-chevron-left'), uiText.galleryPrevious),
+        ...Array.from({ length: pages }, (_, i) => pageButton(i + 1, String(i + 1))),
+        pageButton(page + 1, createElement('i', 'fas fa-chevron-right'), uiText.galleryNext)
+    );
+}
+
+async function loadGallery(page = 1, album = galleryState.album) {
+    if (!gallerySection) return;
+    const params = new URLSearchParams({ page, limit: GALLERY_PAGE_SIZE });
+    if (album) params.set('album', album);
+
+    galleryLoading = (async () => {
+        try {
+            const response = await fetch(`${API_BASE}/api/gallery?${params}`);
+            const result = await response.json();
+            if (!result.success || (result.total === 0 && !album)) return;
+
+            galleryImages = result.items;
+            galleryState = { album, page: result.page, pages: result.pages, total: result.total, limit: result.limit };
+
+            gallerySection.querySelector('.gallery-grid').replaceChildren(...galleryImages.map(createGalleryItem));
+            renderGalleryFilters(result.albums);
+            renderGalleryPagination();
+
+            gallerySection.querySelector('.section-subtitle-text').textContent = uiText.gallerySubtitle;
+            gallerySection.querySelector('.section-title').textContent = uiText.galleryTitle;
+            gallerySection.hidden = false;
+        } catch (error) {
+            console.log('ℹ️ Error loading gallery from API:', error.message);
+        }
+    })();
+    await galleryLoading;
+    galleryLoading = null;
+}
+
+document.addEventListener('DOMContentLoaded', () => loadGallery());
+
+function showLightboxImage() {
+    const photo = galleryImages[currentLightboxIndex];
+    if (!photo) return;
+    const lightboxImg = document.getElementById('lightboxImg');
+    lightboxImg.src = photo.image_url;
+    lightboxImg.alt = photo.caption || '';
+    document.getElementById('lightboxCaption').textContent = photo.caption || '';
+    const position = (galleryState.page - 1) * galleryState.limit + currentLightboxIndex + 1;
+    document.getElementById('lightboxCounter').textContent = `${position} / ${galleryState.total}`;
+}
+
 function openLightbox(index) {
     currentLightboxIndex = index;
-    const lightbox = document.getElementById('lightbox');
-    const lightboxImg = document.getElementById('lightboxImg');
-    
-    lightboxImg.src = galleryImages[index];
-    lightbox.classList.add('active');
+    showLightboxImage();
+    document.getElementById('lightbox').classList.add('active');
     document.body.style.overflow = 'hidden';
 }
 
@@ -631,20 +799,25 @@ function closeLightbox() {
     document.body.style.overflow = '';
 }
 
-function changeLightbox(direction) {
-    currentLightboxIndex += direction;
-    
-    if (currentLightboxIndex >= galleryImages.length) {
-        currentLightboxIndex = 0;
-    } else if (currentLightboxIndex < 0) {
-        currentLightboxIndex = galleryImages.length - 1;
+async function changeLightbox(direction) {
+    if (galleryLoading || galleryImages.length === 0) return;
+    let index = currentLightboxIndex + direction;
+
+    // Past either end of the page: continue on the next/previous page (wrapping around)
+    if (index < 0 || index >= galleryImages.length) {
+        if (galleryState.pages > 1) {
+            const page = (galleryState.page - 1 + direction + galleryState.pages) % galleryState.pages + 1;
+            await loadGallery(page);
+        }
+        index = direction > 0 ? 0 : galleryImages.length - 1;
     }
-    
+
     const lightboxImg = document.getElementById('lightboxImg');
     lightboxImg.style.opacity = '0';
-    
+
     setTimeout(() => {
-        lightboxImg.src = galleryImages[currentLightboxIndex];
+        currentLightboxIndex = index;
+        showLightboxImage();
         lightboxImg.style.opacity = '1';
     }, 200);
 }
@@ -666,16 +839,249 @@ document.getElementById('lightbox')?.addEventListener('click', (e) => {
     }
 });
 
+// ===== LANGUAGE =====
+// ?lang= (switcher links) > saved choice > French. No browser detection: the plain URL
+// stays the French page for search engines (see the hreflang links in index.html).
+// The language list comes from api-client.js (loaded first) via HikariAPI.languages
+const LANG_STORAGE_KEY = 'hikari_lang';
+
+function detectSiteLang() {
+    const isSupported = code => HikariAPI.languages.some(lang => lang.code === code);
+    const fromUrl = new URLSearchParams(window.location.search).get('lang');
+    if (isSupported(fromUrl)) {
+        localStorage.setItem(LANG_STORAGE_KEY, fromUrl);
+        return fromUrl;
+    }
+    const saved = localStorage.getItem(LANG_STORAGE_KEY);
+    return isSupported(saved) ? saved : 'fr';
+}
+
+const SITE_LANG = detectSiteLang();
+
+// Strings generated by this script (the rest comes translated from the API)
+const UI_STRINGS = {
+    fr: {
+        days: { monday: 'Lundi', tuesday: 'Mardi', wednesday: 'Mercredi', thursday: 'Jeudi', friday: 'Vendredi', saturday: 'Samedi', sunday: 'Dimanche' },
+        closed: 'Fermé',
+        emptyCategory: 'Aucun plat dans cette catégorie',
+        specialtiesSubtitle: 'NOS SPÉCIALITÉS',
+        specialtiesTitle: 'Les Incontournables',
+        viewMenu: 'Voir le menu',
+        gallerySubtitle: 'GALERIE',
+        galleryTitle: "L'Univers HIKARI",
+        galleryAll: 'Tout',
+        galleryAlbums: { plats: 'Plats', salle: 'Salle', equipe: 'Équipe' },
+        galleryOpen: 'Agrandir la photo',
+        galleryPrevious: 'Page précédente',
+        galleryNext: 'Page suivante',
+        announcementClose: "Fermer l'annonce"
+    },
+    en: {
+        days: { monday: 'Monday', tuesday: 'Tuesday', wednesday: 'Wednesday', thursday: 'Thursday', friday: 'Friday', saturday: 'Saturday', sunday: 'Sunday' },
+        closed: 'Closed',
+        emptyCategory: 'No dishes in this category yet',
+        specialtiesSubtitle: 'OUR SPECIALTIES',
+        specialtiesTitle: 'House Favourites',
+        viewMenu: 'See the menu',
+        gallerySubtitle: 'GALLERY',
+        galleryTitle: 'The World of HIKARI',
+        galleryAll: 'All',
+        galleryAlbums: { plats: 'Dishes', salle: 'Dining room', equipe: 'Team' },
+        galleryOpen: 'Enlarge photo',
+        galleryPrevious: 'Previous page',
+        galleryNext: 'Next page',
+        announcementClose: 'Close announcement'
+    },
+    ja: {
+        days: { monday: '月曜日', tuesday: '火曜日', wednesday: '水曜日', thursday: '木曜日', friday: '金曜日', saturday: '土曜日', sunday: '日曜日' },
+        closed: '定休日',
+        emptyCategory: 'このカテゴリーの料理はまだありません',
+        specialtiesSubtitle: '当店のおすすめ',
+        specialtiesTitle: '定番の逸品',
+        viewMenu: 'メニューを見る',
+        gallerySubtitle: 'ギャラリー',
+        galleryTitle: 'HIKARIの世界',
+        galleryAll: 'すべて',
+        galleryAlbums: { plats: '料理', salle: '店内', equipe: 'スタッフ' },
+        galleryOpen: '写真を拡大',
+        galleryPrevious: '前のページ',
+        galleryNext: '次のページ',
+        announcementClose: 'お知らせを閉じる'
+    }
+};
+const uiText = UI_STRINGS[SITE_LANG] || UI_STRINGS.fr;
+
+function setMeta(selector, value) {
+    const meta = document.querySelector(selector);
+    if (meta && value) meta.setAttribute('content', value);
+}
+
+// <html lang>, og:locale and the language-specific URLs
+function applyDocumentLang() {
+    const current = HikariAPI.languages.find(lang => lang.code === SITE_LANG);
+    document.documentElement.lang = SITE_LANG;
+    setMeta('meta[property="og:locale"]', current.locale);
+
+    if (SITE_LANG !== 'fr') {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        const alternate = document.querySelector(`link[rel="alternate"][hreflang="${SITE_LANG}"]`);
+        if (canonical && alternate) canonical.href = alternate.href;
+        setMeta('meta[property="og:url"]', alternate?.href);
+    }
+}
+
+// Title / description from the translated 'seo' content section
+function applySeoContent(seo) {
+    if (seo.title) {
+        document.title = seo.title;
+        setMeta('meta[property="og:title"]', seo.title);
+        setMeta('meta[name="twitter:title"]', seo.title);
+    }
+    if (seo.description) {
+        setMeta('meta[name="description"]', seo.description);
+        setMeta('meta[property="og:description"]', seo.description);
+        setMeta('meta[name="twitter:description"]', seo.description);
+    }
+}
+
+function setupLanguageSwitcher() {
+    document.querySelectorAll('.lang-switcher a[data-lang]').forEach(link => {
+        const code = link.dataset.lang;
+        link.classList.toggle('active', code === SITE_LANG);
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (code === SITE_LANG) return;
+            localStorage.setItem(LANG_STORAGE_KEY, code);
+            // Reload so static and dynamic text switch together
+            const url = new URL(window.location.href);
+            if (code === 'fr') url.searchParams.delete('lang');
+            else url.searchParams.set('lang', code);
+            window.location.href = url.toString();
+        });
+    });
+}
+
+applyDocumentLang();
+document.addEventListener('DOMContentLoaded', setupLanguageSwitcher);
+
+// ===== SAFE RENDERING =====
+// Content and menu values are data, never markup: they go in through textContent and
+// DOM nodes. The one exception, 'html' content fields (already cleaned by the API),
+// is re-checked against the same allowlist before it touches the page.
+const RICH_TEXT_TAGS = new Set(['P', 'BR', 'STRONG', 'B', 'EM', 'I', 'U', 'UL', 'OL', 'LI', 'A']);
+const RICH_TEXT_DROPPED = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH']);
+// A leading / must not be followed by / or \ (browsers read /\host as //host)
+const SAFE_HREF_PATTERN = /^(https?:|mailto:|tel:|\/(?![\/\\])|#)/i;
+
+function createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// "a\nb" -> a<br>b
+function setTextLines(element, text, separator = '\n') {
+    element.replaceChildren();
+    text.split(separator).forEach((line, index) => {
+        if (index > 0) element.appendChild(document.createElement('br'));
+        element.appendChild(document.createTextNode(line));
+    });
+}
+
+// One <p> per non-empty line
+function setTextParagraphs(element, text) {
+    element.replaceChildren(...text.split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => createElement('p', '', line)));
+}
+
+function copyRichText(source, target) {
+    source.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || RICH_TEXT_DROPPED.has(node.tagName)) return;
+        if (!RICH_TEXT_TAGS.has(node.tagName)) {
+            copyRichText(node, target);
+            return;
+        }
+        const element = document.createElement(node.tagName.toLowerCase());
+        // Browsers ignore whitespace and control characters in URLs (same as the API's sanitizer)
+        const href = node.tagName === 'A' ? (node.getAttribute('href') || '').replace(/[\u0000- \u007f]/g, '') : '';
+        if (SAFE_HREF_PATTERN.test(href)) {
+            element.setAttribute('href', href);
+            if (/^https?:/i.test(href)) {
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+            }
+        }
+        copyRichText(node, element);
+        target.appendChild(element);
+    });
+}
+
+// A <template> parses without running scripts or loading images
+function setRichText(element, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = document.createDocumentFragment();
+    copyRichText(template.content, fragment);
+    element.replaceChildren(fragment);
+}
+
 // ===== LOAD CONTENT FROM API =====
-const API_URL = 'https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev';
+// API_BASE comes from api-client.js (loaded first)
+
+// ?preview=<token> (from the admin "Aperçu" button) shows unpublished drafts
+const PREVIEW_TOKEN = new URLSearchParams(window.location.search).get('preview');
+
+function showPreviewBanner(result) {
+    const banner = document.createElement('div');
+    banner.className = 'preview-banner';
+    banner.style.cssText = 'position: fixed; left: 50%; bottom: 1rem; transform: translateX(-50%); z-index: 10000; padding: 0.6rem 1.2rem; border-radius: 999px; background: rgba(0, 0, 0, 0.85); color: #fff; font-size: 0.85rem; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.4); border: 1px solid ' + (result ? '#c9a962' : '#ef4444') + ';';
+
+    if (result) {
+        const until = new Date(result.expiresAt).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+        banner.textContent = `Aperçu : ${result.drafts} modification(s) non publiée(s) · lien valable jusqu'au ${until}`;
+    } else {
+        banner.textContent = 'Lien d\'aperçu expiré ou invalide - affichage du site en ligne';
+    }
+    document.body.appendChild(banner);
+
+    // Preview URLs carry a token - keep them out of search engines
+    const robots = document.createElement('meta');
+    robots.name = 'robots';
+    robots.content = 'noindex, nofollow';
+    document.head.appendChild(robots);
+}
+
+async function fetchSiteContent() {
+    if (PREVIEW_TOKEN) {
+        try {
+            const response = await fetch(`${API_BASE}/api/content?lang=${SITE_LANG}&preview=${encodeURIComponent(PREVIEW_TOKEN)}`, { cache: 'no-store' });
+            const result = await response.json();
+            showPreviewBanner(result.success ? result : null);
+            if (result.success) return result;
+        } catch (e) {
+            showPreviewBanner(null);
+        }
+    }
+
+    const response = await fetch(`${API_BASE}/api/content?lang=${SITE_LANG}`);
+    return response.json();
+}
 
 async function loadDynamicContent() {
     try {
-        const response = await fetch(`${API_URL}/api/content`);
-        const result = await response.json();
+        const result = await fetchSiteContent();
         
         if (result.success && result.content) {
             const content = result.content;
+
+            // ===== SEO =====
+            if (content.seo) applySeoContent(content.seo);
             
             // ===== HERO SECTION =====
             if (content.hero) {
@@ -708,16 +1114,18 @@ async function loadDynamicContent() {
             if (content.about) {
                 const aboutSubtitle = document.querySelector('#about .section-subtitle');
                 if (aboutSubtitle && content.about.subtitle) {
-                    aboutSubtitle.innerHTML = `<span class="line"></span>${content.about.subtitle}<span class="line"></span>`;
+                    aboutSubtitle.replaceChildren(
+                        createElement('span', 'line'),
+                        document.createTextNode(content.about.subtitle),
+                        createElement('span', 'line')
+                    );
                 }
                 
                 const aboutTitle = document.querySelector('#about .section-title');
-                if (aboutTitle && content.about.title) {
-                    aboutTitle.innerHTML = content.about.title.replace(/\n/g, '<br>');
-                }
+                if (aboutTitle && content.about.title) setTextLines(aboutTitle, content.about.title);
                 
                 const aboutLead = document.querySelector('#about .about-text .lead');
-                if (aboutLead && content.about.description) aboutLead.textContent = content.about.description;
+                if (aboutLead && content.about.description) setRichText(aboutLead, content.about.description);
                 
                 const aboutParagraphs = document.querySelectorAll('#about .about-text > p:not(.lead)');
                 if (aboutParagraphs.length >= 1 && content.about.description2) aboutParagraphs[0].textContent = content.about.description2;
@@ -732,30 +1140,22 @@ async function loadDynamicContent() {
             
             // ===== CONTACT INFO (WITH TRANSPORTS) =====
             if (content.contact) {
-                // Helper to convert multiline text into paragraphs
-                const textToParagraphs = (text) => {
-                    return text.split('\n')
-                               .filter(line => line.trim() !== '')
-                               .map(line => `<p>${line}</p>`)
-                               .join('');
-                };
-
                 // Parking
                 if (content.contact.parking) {
                     const parkingEl = document.getElementById('display_parking');
-                    if (parkingEl) parkingEl.innerHTML = textToParagraphs(content.contact.parking);
+                    if (parkingEl) setTextParagraphs(parkingEl, content.contact.parking);
                 }
                 
                 // Metro
                 if (content.contact.metro) {
                     const metroEl = document.getElementById('display_metro');
-                    if (metroEl) metroEl.innerHTML = textToParagraphs(content.contact.metro);
+                    if (metroEl) setTextParagraphs(metroEl, content.contact.metro);
                 }
                 
                 // Velo & Bus
                 if (content.contact.velo_bus) {
                     const veloEl = document.getElementById('display_velo_bus');
-                    if (veloEl) veloEl.innerHTML = textToParagraphs(content.contact.velo_bus);
+                    if (veloEl) setTextParagraphs(veloEl, content.contact.velo_bus);
                 }
 
                 // Phone
@@ -780,7 +1180,9 @@ async function loadDynamicContent() {
                 if (content.contact.address) {
                     const addressLink = document.querySelector('.footer-contact li:first-child a');
                     if (addressLink) {
-                        addressLink.innerHTML = content.contact.address.replace(', ', '<br>');
+                        // First ", " becomes a line break: "12 rue X, 31000 Toulouse"
+                        const [street, ...rest] = content.contact.address.split(', ');
+                        setTextLines(addressLink, rest.length ? `${street}\n${rest.join(', ')}` : street);
                     }
                 }
 
@@ -816,10 +1218,7 @@ async function loadDynamicContent() {
             
             // ===== HOURS =====
             const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-            const dayNames = {
-                monday: 'Lundi', tuesday: 'Mardi', wednesday: 'Mercredi',
-                thursday: 'Jeudi', friday: 'Vendredi', saturday: 'Samedi', sunday: 'Dimanche'
-            };
+            const dayNames = uiText.days;
             
             let hoursData = {};
             let hasHours = false;
@@ -841,42 +1240,46 @@ async function loadDynamicContent() {
             });
             
             if (hasHours) {
+                const hoursRow = (dayName, timeText) => {
+                    const row = document.createElement('li');
+                    row.append(createElement('span', '', dayName), createElement('span', '', timeText));
+                    return row;
+                };
+
                 const hoursCard = document.getElementById('contact-hours-card');
                 if (hoursCard) {
                     const hoursContent = hoursCard.querySelector('.hours-content');
                     if (hoursContent) {
-                        let html = '<ul class="hours-list-contact">';
+                        const list = createElement('ul', 'hours-list-contact');
                         days.forEach(day => {
                             const lunch = hoursData[day]?.lunch || '';
                             const dinner = hoursData[day]?.dinner || '';
                             
-                            let timeText = 'Fermé';
+                            let timeText = uiText.closed;
                             if (lunch && dinner) timeText = `${lunch} / ${dinner}`;
                             else if (lunch) timeText = lunch;
-                            else if (dinner) timeText = `Fermé / ${dinner}`;
+                            else if (dinner) timeText = `${uiText.closed} / ${dinner}`;
                             
-                            html += `<li><span>${dayNames[day]}</span><span>${timeText}</span></li>`;
+                            list.appendChild(hoursRow(dayNames[day], timeText));
                         });
-                        html += '</ul>';
-                        hoursContent.innerHTML = html;
+                        hoursContent.replaceChildren(list);
                     }
                 }
                 
                 const footerHoursList = document.querySelector('.footer-hours .hours-list');
                 if (footerHoursList) {
-                    let html = '';
+                    footerHoursList.replaceChildren();
                     days.forEach(day => {
                         const lunch = hoursData[day]?.lunch || '';
                         const dinner = hoursData[day]?.dinner || '';
                         
-                        let timeText = 'Fermé';
+                        let timeText = uiText.closed;
                         if (lunch && dinner) timeText = `${lunch} / ${dinner}`;
                         else if (lunch) timeText = lunch;
                         else if (dinner) timeText = dinner;
                         
-                        html += `<li><span>${dayNames[day]}</span><span>${timeText}</span></li>`;
+                        footerHoursList.appendChild(hoursRow(dayNames[day], timeText));
                     });
-                    footerHoursList.innerHTML = html;
                 }
             }
             
@@ -927,89 +1330,6 @@ async function loadDynamicContent() {
                 if (newPrice && content.signature.new_price) newPrice.textContent = content.signature.new_price;
             }
             
-            // ===== SPECIALTIES (3 cards) =====
-            const specialtyCards = document.querySelectorAll('.specialty-card');
-            for (let i = 1; i <= 3; i++) {
-                const key = `specialty${i}`;
-                if (content[key]) {
-                    const card = specialtyCards[i - 1];
-                    if (card) {
-                        const img = card.querySelector('.specialty-image img');
-                        if (img && content[key].image) {
-                            img.src = content[key].image;
-                            img.classList.remove('img-skeleton');
-                        }
-                        const tag = card.querySelector('.specialty-tag');
-                        if (tag && content[key].tag) tag.textContent = content[key].tag;
-                        
-                        const name = card.querySelector('h3');
-                        if (name && content[key].name) name.textContent = content[key].name;
-                        
-                        const desc = card.querySelector('.specialty-overlay p');
-                        if (desc && content[key].description) desc.textContent = content[key].description;
-                    }
-                }
-            }
-            
-            // ===== GALLERY (6 images) =====
-            const galleryItems = document.querySelectorAll('.gallery-item');
-            const galleryUrls = [];
-            for (let i = 1; i <= 6; i++) {
-                const key = `gallery${i}`;
-                if (content[key]) {
-                    let imageUrl = content[key];
-                    if (typeof content[key] === 'object' && content[key][key]) {
-                        imageUrl = content[key][key];
-                    }
-                    const optimizedUrl = getOptimizedImageUrl(imageUrl, IMAGE_SIZES.gallery.w, IMAGE_SIZES.gallery.h, IMAGE_SIZES.gallery.q);
-                    if (imageUrl) galleryUrls.push(optimizedUrl);
-                    
-                    const item = galleryItems[i - 1];
-                    if (item && imageUrl) {
-                        const img = item.querySelector('img');
-                        if (img) {
-                            img.src = optimizedUrl;
-                            img.classList.remove('img-skeleton');
-                        }
-                    }
-                    if (imageUrl) galleryImages[i - 1] = imageUrl;
-                }
-            }
-            if (galleryUrls.length > 0) preloadImages(galleryUrls);
-            
-            // ===== TESTIMONIALS (3 cards) =====
-            const testimonialCards = document.querySelectorAll('.testimonial-card');
-            for (let i = 1; i <= 3; i++) {
-                const key = `testimonial${i}`;
-                if (content[key]) {
-                    const card = testimonialCards[i - 1];
-                    if (card) {
-                        const photo = card.querySelector('.testimonial-author img');
-                        if (photo && content[key].photo) photo.src = content[key].photo;
-                        
-                        const name = card.querySelector('.author-info h4');
-                        if (name && content[key].name) name.textContent = content[key].name;
-                        
-                        const text = card.querySelector('.testimonial-text');
-                        if (text && content[key].text) text.textContent = content[key].text;
-                        
-                        if (content[key].rating) {
-                            const starsContainer = card.querySelector('.stars');
-                            if (starsContainer) {
-                                const rating = parseInt(content[key].rating) || 5;
-                                let starsHTML = '';
-                                for (let s = 1; s <= 5; s++) {
-                                    if (s <= rating) starsHTML += '<i class="fas fa-star"></i>';
-                                    else if (s - 0.5 <= rating) starsHTML += '<i class="fas fa-star-half-alt"></i>';
-                                    else starsHTML += '<i class="far fa-star"></i>';
-                                }
-                                starsContainer.innerHTML = starsHTML;
-                            }
-                        }
-                    }
-                }
-            }
-            
             // ===== RESERVATION SECTION =====
             if (content.reservation) {
                 const reservationImg = document.querySelector('.reservation-image img');
@@ -1048,11 +1368,51 @@ async function loadDynamicContent() {
     }
 }
 
+function createMenuItemCard(item, delay, defaultImage) {
+    const thumbnailUrl = item.thumbnail || item.image || defaultImage;
+    const isCached = imageCache.has(thumbnailUrl);
+    
+    const card = createElement('div', 'menu-item');
+    card.dataset.aos = 'fade-up';
+    card.dataset.aosDelay = delay;
+    card.dataset.fullImage = item.image || defaultImage;
+    
+    const imageWrap = createElement('div', 'menu-item-image' + (isCached ? '' : ' img-skeleton'));
+    const img = document.createElement('img');
+    const markLoaded = () => {
+        img.dataset.loaded = 'true';
+        imageWrap.classList.remove('img-skeleton');
+    };
+    img.addEventListener('load', markLoaded);
+    img.addEventListener('error', () => {
+        if (img.src !== defaultImage) img.src = defaultImage;
+        markLoaded();
+    }, { once: true });
+    img.alt = item.name;
+    if (!isCached) img.loading = 'lazy';
+    img.decoding = 'async';
+    img.dataset.loaded = String(isCached);
+    img.src = thumbnailUrl;
+    imageWrap.appendChild(img);
+    if (item.badge) imageWrap.appendChild(createElement('span', 'menu-badge', item.badge));
+    
+    const header = createElement('div', 'menu-item-header');
+    header.append(
+        createElement('h3', '', item.name),
+        createElement('span', 'menu-price', `${parseFloat(item.price).toFixed(2)}€`)
+    );
+    const info = createElement('div', 'menu-item-info');
+    info.append(header, createElement('p', '', item.description || ''));
+    
+    card.append(imageWrap, info);
+    return card;
+}
+
 // Load menu items from API and render
 async function loadMenuFromAPI(categories) {
     try {
         await preloadPromise;
-        const response = await fetch(`${API_URL}/api/menu`);
+        const response = await fetch(`${API_BASE}/api/menu?lang=${SITE_LANG}`);
         const result = await response.json();
         
         if (!result.success || !result.items || result.items.length === 0) {
@@ -1097,46 +1457,21 @@ async function loadMenuFromAPI(categories) {
                 item.category && item.category.toLowerCase() === cat.toLowerCase()
             );
             
-            let gridHTML = '<div class="menu-grid">';
+            const grid = createElement('div', 'menu-grid');
             
             if (categoryItems.length === 0) {
-                gridHTML += `
-                    <div class="empty-category" style="grid-column: 1/-1; text-align: center; padding: 3rem; color: #888;">
-                        <i class="fas fa-utensils" style="font-size: 2rem; margin-bottom: 1rem; opacity: 0.5;"></i>
-                        <p>Aucun plat dans cette catégorie</p>
-                    </div>
-                `;
+                const empty = createElement('div', 'empty-category');
+                empty.style.cssText = 'grid-column: 1/-1; text-align: center; padding: 3rem; color: #888;';
+                const icon = createElement('i', 'fas fa-utensils');
+                icon.style.cssText = 'font-size: 2rem; margin-bottom: 1rem; opacity: 0.5;';
+                empty.append(icon, createElement('p', '', uiText.emptyCategory));
+                grid.appendChild(empty);
             } else {
                 categoryItems.forEach((item, i) => {
-                    const thumbnailUrl = item.thumbnail || item.image || defaultImage;
-                    const fullImageUrl = item.image || defaultImage;
-                    const delay = Math.min((i + 1) * 50, 300);
-                    const isCached = imageCache.has(thumbnailUrl);
-                    
-                    gridHTML += `
-                        <div class="menu-item" data-aos="fade-up" data-aos-delay="${delay}" data-full-image="${fullImageUrl}">
-                            <div class="menu-item-image ${!isCached ? 'img-skeleton' : ''}">
-                                <img src="${thumbnailUrl}" alt="${item.name}" 
-                                    ${isCached ? '' : 'loading="lazy"'} 
-                                    decoding="async" 
-                                    data-loaded="${isCached}"
-                                    onload="this.dataset.loaded='true'; this.parentElement.classList.remove('img-skeleton')"
-                                    onerror="this.src='${defaultImage}'; this.dataset.loaded='true'; this.parentElement.classList.remove('img-skeleton')">
-                                ${item.badge ? `<span class="menu-badge">${item.badge}</span>` : ''}
-                            </div>
-                            <div class="menu-item-info">
-                                <div class="menu-item-header">
-                                    <h3>${item.name}</h3>
-                                    <span class="menu-price">${parseFloat(item.price).toFixed(2)}€</span>
-                                </div>
-                                <p>${item.description || ''}</p>
-                            </div>
-                        </div>
-                    `;
+                    grid.appendChild(createMenuItemCard(item, Math.min((i + 1) * 50, 300), defaultImage));
                 });
             }
-            gridHTML += '</div>';
-            tabContent.innerHTML = gridHTML;
+            tabContent.appendChild(grid);
             contentFragment.appendChild(tabContent);
         });
         
@@ -1171,6 +1506,202 @@ async function loadMenuFromAPI(categories) {
     }
 }
 
+// ===== SPECIALTIES =====
+// Cards from /api/specialties, as many as there are; the section stays hidden without any.
+// With an odd count (3+) the first card is the large one spanning two rows.
+function createSpecialtyCard(item, index, large) {
+    const size = large ? IMAGE_SIZES.specialtyLarge : IMAGE_SIZES.specialty;
+    const card = createElement('div', 'specialty-card' + (large ? ' large' : ''));
+    card.dataset.aos = 'fade-up';
+    card.dataset.aosDelay = Math.min(index, 3) * 100;
+
+    const imageWrap = createElement('div', 'specialty-image');
+    const img = document.createElement('img');
+    img.alt = item.name;
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.className = 'img-skeleton';
+    img.addEventListener('load', () => img.classList.remove('img-skeleton'), { once: true });
+    img.src = getOptimizedImageUrl(item.image || 'images/logo.png', size.w, size.h, size.q);
+    imageWrap.appendChild(img);
+
+    const overlay = createElement('div', 'specialty-overlay');
+    if (item.tag) overlay.appendChild(createElement('span', 'specialty-tag', item.tag));
+    overlay.appendChild(createElement('h3', '', item.name));
+    if (item.description) overlay.appendChild(createElement('p', '', item.description));
+    if (item.price !== null && item.price !== undefined) {
+        overlay.appendChild(createElement('span', 'specialty-price', `${parseFloat(item.price).toFixed(2)}€`));
+    }
+    const link = createElement('a', 'btn-view', uiText.viewMenu + ' ');
+    link.href = '#menu';
+    link.appendChild(createElement('i', 'fas fa-arrow-right'));
+    overlay.appendChild(link);
+
+    imageWrap.appendChild(overlay);
+    card.appendChild(imageWrap);
+    return card;
+}
+
+async function loadSpecialties() {
+    const section = document.getElementById('specialties');
+    const grid = section?.querySelector('.specialties-grid');
+    if (!grid) return;
+    try {
+        const response = await fetch(`${API_BASE}/api/specialties?lang=${SITE_LANG}`);
+        const result = await response.json();
+        if (!result.success || !result.items || result.items.length === 0) return;
+
+        const items = result.items;
+        const hasLarge = items.length === 1 || (items.length >= 3 && items.length % 2 === 1);
+        grid.classList.toggle('single', items.length === 1);
+        grid.replaceChildren(...items.map((item, index) => createSpecialtyCard(item, index, hasLarge && index === 0)));
+
+        section.querySelector('.section-subtitle-text').textContent = uiText.specialtiesSubtitle;
+        section.querySelector('.section-title').textContent = uiText.specialtiesTitle;
+        section.hidden = false;
+        if (typeof AOS !== 'undefined') AOS.refresh();
+    } catch (error) {
+        console.log('ℹ️ Error loading specialties from API:', error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadSpecialties);
+
+// ===== ANNOUNCEMENTS =====
+// Notices from /api/announcements (only the ones running now): banners stack at the top of
+// the header, the first "modal" one opens once the preloader is gone. A dismissal is kept per
+// id + updated_at, so editing an announcement shows it again to everyone.
+const ANNOUNCEMENT_DISMISSED_KEY = 'hikari_dismissed_announcements';
+const ANNOUNCEMENT_ICONS = { info: 'fa-info-circle', warning: 'fa-exclamation-triangle', promo: 'fa-gift' };
+
+function announcementKey(item) {
+    return `${item.id}:${item.updated_at}`;
+}
+
+function getDismissedAnnouncements() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ANNOUNCEMENT_DISMISSED_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Only keys of announcements still running are kept, so the list never grows
+function dismissAnnouncement(item, items) {
+    const current = new Set(items.map(announcementKey));
+    const dismissed = getDismissedAnnouncements().filter(key => current.has(key));
+    dismissed.push(announcementKey(item));
+    try {
+        localStorage.setItem(ANNOUNCEMENT_DISMISSED_KEY, JSON.stringify(dismissed));
+    } catch (e) {
+        // Private browsing: the announcement comes back on the next visit
+    }
+}
+
+function createAnnouncementContent(item, className) {
+    const message = createElement('p', className, item.message);
+    if (item.link_url && SAFE_HREF_PATTERN.test(item.link_url)) {
+        const link = createElement('a', 'announcement-link', item.link_label || item.link_url);
+        link.href = item.link_url;
+        if (/^https?:/i.test(item.link_url)) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        message.append(' ', link);
+    }
+    return message;
+}
+
+function createAnnouncementBanner(item, onDismiss) {
+    const banner = createElement('div', `announcement announcement-${item.style}`);
+    banner.setAttribute('role', 'status');
+    banner.appendChild(createElement('i', `fas ${ANNOUNCEMENT_ICONS[item.style] || ANNOUNCEMENT_ICONS.info}`));
+    banner.appendChild(createAnnouncementContent(item, 'announcement-message'));
+
+    if (item.is_dismissible) {
+        const close = createElement('button', 'announcement-close');
+        close.type = 'button';
+        close.setAttribute('aria-label', uiText.announcementClose);
+        close.appendChild(createElement('i', 'fas fa-times'));
+        close.addEventListener('click', () => {
+            onDismiss();
+            banner.remove();
+        });
+        banner.appendChild(close);
+    }
+    return banner;
+}
+
+// A modal can always be closed; is_dismissible decides whether it stays closed next time
+function openAnnouncementModal(item, onDismiss) {
+    const modal = createElement('div', `announcement-modal announcement-${item.style}`);
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+
+    const box = createElement('div', 'announcement-modal-box');
+    const close = createElement('button', 'announcement-close');
+    close.type = 'button';
+    close.setAttribute('aria-label', uiText.announcementClose);
+    close.appendChild(createElement('i', 'fas fa-times'));
+    box.appendChild(close);
+    box.appendChild(createElement('i', `fas ${ANNOUNCEMENT_ICONS[item.style] || ANNOUNCEMENT_ICONS.info} announcement-modal-icon`));
+    box.appendChild(createAnnouncementContent(item, 'announcement-modal-message'));
+    modal.appendChild(box);
+
+    function closeModal() {
+        if (item.is_dismissible) onDismiss();
+        document.removeEventListener('keydown', onKeydown);
+        modal.classList.remove('active');
+        setTimeout(() => modal.remove(), 300);
+    }
+    function onKeydown(e) {
+        if (e.key === 'Escape') closeModal();
+    }
+
+    close.addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+    box.querySelector('.announcement-link')?.addEventListener('click', closeModal);
+    document.addEventListener('keydown', onKeydown);
+
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add('active'));
+    close.focus();
+}
+
+async function loadAnnouncements() {
+    const bar = document.getElementById('announcementBar');
+    if (!bar) return;
+    try {
+        const response = await fetch(`${API_BASE}/api/announcements?lang=${SITE_LANG}`);
+        const result = await response.json();
+        if (!result.success || !result.items) return;
+
+        const items = result.items;
+        const dismissed = new Set(getDismissedAnnouncements());
+        const pending = items.filter(item => !dismissed.has(announcementKey(item)));
+
+        const banners = pending.filter(item => item.display !== 'modal');
+        bar.replaceChildren(...banners.map(item => createAnnouncementBanner(item, () => {
+            dismissAnnouncement(item, items);
+            if (bar.children.length <= 1) bar.hidden = true;
+        })));
+        bar.hidden = banners.length === 0;
+
+        const modal = pending.find(item => item.display === 'modal');
+        if (modal) {
+            await preloaderDone;
+            openAnnouncementModal(modal, () => dismissAnnouncement(modal, items));
+        }
+    } catch (error) {
+        console.log('ℹ️ Error loading announcements from API:', error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadAnnouncements);
+
 // Load content when DOM is ready
 document.addEventListener('DOMContentLoaded', loadDynamicContent);
 
@@ -8,6 +8,7 @@ CREATE TABLE IF NOT EXISTS site_content (
     key TEXT NOT NULL,
     value TEXT,
     type TEXT DEFAULT 'text', -- text, html, image, json
+    unpublish_at DATETIME, -- reverted to the previous revision by the cron (UTC)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(section, key)
@@ -24,6 +25,12 @@ CREATE TABLE IF NOT EXISTS menu_items (
     badge TEXT,
     display_order INTEGER DEFAULT 0,
     is_active INTEGER DEFAULT 1,
+    publish_at DATETIME, -- shown by the cron at this time (UTC)
+    unpublish_at DATETIME, -- hidden by the cron at this time (UTC)
+    name_en TEXT, -- translations, NULL = French name/description
+    name_ja TEXT,
+    description_en TEXT,
+    description_ja TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -46,12 +53,15 @@ CREATE TABLE IF NOT EXISTS reservations (
 -- Gallery Images Table
 CREATE TABLE IF NOT EXISTS gallery (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT,
-    image_url TEXT NOT NULL,
-    thumbnail_url TEXT,
+    title TEXT, -- legacy, moved into caption by the worker
+    image_url TEXT NOT NULL, -- full size, shown in the lightbox
+    thumbnail_url TEXT, -- grid image, image_url when NULL
+    caption TEXT, -- shown under the photo and used as its alt text
+    album TEXT DEFAULT 'plats', -- plats, salle, equipe
     display_order INTEGER DEFAULT 0,
     is_active INTEGER DEFAULT 1,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Settings Table
@@ -67,22 +77,280 @@ CREATE TABLE IF NOT EXISTS settings (
 CREATE TABLE IF NOT EXISTS admin_users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     email TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
+    password_hash TEXT NOT NULL, -- pbkdf2-sha256$<iterations>$<salt>$<hash>
     name TEXT,
+    role TEXT DEFAULT 'staff', -- owner, manager, staff
+    totp_secret TEXT,
+    totp_enabled INTEGER DEFAULT 0,
+    totp_last_step INTEGER, -- last accepted TOTP time step (replay protection)
+    trusted_device_version INTEGER DEFAULT 0, -- bumped to forget all trusted devices
+    is_active INTEGER DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_login DATETIME
 );
 
+-- One-time password tokens (invitations and resets) - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS password_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    purpose TEXT NOT NULL, -- invite, reset
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+);
+
+-- 2FA Recovery Codes (one-time, SHA-256 hashed)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+);
+
+-- Passkeys (WebAuthn credentials - public key stored as JWK)
+CREATE TABLE IF NOT EXISTS passkeys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    credential_id TEXT UNIQUE NOT NULL, -- base64url
+    public_key TEXT NOT NULL,
+    algorithm INTEGER NOT NULL, -- COSE: -7 ES256, -257 RS256
+    sign_count INTEGER DEFAULT 0,
+    transports TEXT, -- JSON array
+    name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+);
+
+-- Mail Outbox (drained by the configured mail transport)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipient TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT,
+    status TEXT DEFAULT 'pending', -- pending, sent, failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME
+);
+
 -- Sessions Table (for auth)
 CREATE TABLE IF NOT EXISTS sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     token TEXT UNIQUE NOT NULL,
-    expires_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL, -- slides on activity (see checkAuth)
+    user_agent TEXT,
+    ip_address TEXT,
+    last_seen_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES admin_users(id)
 );
 
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- API Keys (machine integrations) - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- first characters, to recognise the key in the admin
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL, -- JSON array of permissions, e.g. ["menu:read"]
+    expires_at DATETIME, -- NULL = never
+    last_used_at DATETIME,
+    last_used_ip TEXT,
+    revoked_at DATETIME,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Content Drafts (pending edits, live only after "Publier")
+CREATE TABLE IF NOT EXISTS content_drafts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    section TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    type TEXT DEFAULT 'text',
+    user_id INTEGER,
+    user_email TEXT,
+    publish_at DATETIME, -- NULL = waits for "Publier", else published by the cron (UTC)
+    unpublish_at DATETIME, -- copied to site_content.unpublish_at when published
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(section, key)
+);
+
+-- Content Revisions (every value published to site_content, for diff / rollback)
+CREATE TABLE IF NOT EXISTS content_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    section TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    type TEXT DEFAULT 'text',
+    user_id INTEGER, -- NULL for the baseline (value before history was kept) and API keys
+    user_email TEXT,
+    restored_from INTEGER, -- revision id when written by a rollback
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_revisions_field ON content_revisions(section, key, id);
+
+-- Content Translations (en/ja values of site_content fields, French is the fallback)
+CREATE TABLE IF NOT EXISTS content_translations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    section TEXT NOT NULL,
+    key TEXT NOT NULL,
+    lang TEXT NOT NULL, -- en, ja
+    value TEXT NOT NULL,
+    user_id INTEGER,
+    user_email TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(section, key, lang)
+);
+
+-- Audit Log (admin mutations; no FK so entries survive user deletion)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    user_email TEXT,
+    action TEXT NOT NULL, -- create, update, delete, ...
+    entity TEXT NOT NULL, -- content, menu, reservation, gallery, settings, user, image, ...
+    entity_id TEXT,
+    before_data TEXT, -- JSON snapshot before the change
+    after_data TEXT, -- JSON snapshot after the change
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
+
+-- Testimonials (homepage slider; hidden ones stay listed in the admin)
+CREATE TABLE IF NOT EXISTS testimonials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    author TEXT NOT NULL,
+    photo TEXT,
+    text TEXT NOT NULL,
+    rating INTEGER DEFAULT 5, -- 1-5
+    source TEXT, -- where the review was left: Google, TripAdvisor, ...
+    review_date TEXT, -- YYYY-MM-DD
+    is_visible INTEGER DEFAULT 1,
+    display_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_testimonials_order ON testimonials(is_visible, display_order);
+
+-- Testimonials used to be the site_content sections testimonial1..3: move them over once
+INSERT INTO testimonials (author, photo, text, rating, display_order)
+SELECT name.value, NULLIF(photo.value, ''), text.value,
+    COALESCE(CAST(NULLIF(rating.value, '') AS INTEGER), 5), CAST(substr(name.section, 12) AS INTEGER)
+FROM site_content name
+JOIN site_content text ON text.section = name.section AND text.key = 'text'
+LEFT JOIN site_content photo ON photo.section = name.section AND photo.key = 'photo'
+LEFT JOIN site_content rating ON rating.section = name.section AND rating.key = 'rating'
+WHERE name.section IN ('testimonial1', 'testimonial2', 'testimonial3') AND name.key = 'name'
+    AND name.value <> '' AND text.value <> ''
+    AND NOT EXISTS (SELECT 1 FROM testimonials)
+ORDER BY name.section;
+
+DELETE FROM site_content WHERE section IN ('testimonial1', 'testimonial2', 'testimonial3');
+DELETE FROM content_drafts WHERE section IN ('testimonial1', 'testimonial2', 'testimonial3');
+DELETE FROM content_translations WHERE section IN ('testimonial1', 'testimonial2', 'testimonial3');
+
+-- Specialties (featured dish cards). A card linked to a menu item shows the item's
+-- name, price and image; its own columns are the fallback when unlinked.
+CREATE TABLE IF NOT EXISTS specialties (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    menu_item_id INTEGER REFERENCES menu_items(id),
+    tag TEXT,
+    tag_en TEXT,
+    tag_ja TEXT,
+    name TEXT,
+    name_en TEXT,
+    name_ja TEXT,
+    description TEXT,
+    description_en TEXT,
+    description_ja TEXT,
+    image TEXT,
+    price REAL,
+    is_active INTEGER DEFAULT 1,
+    display_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_specialties_order ON specialties(is_active, display_order);
+
+-- Specialties used to be the site_content sections specialty1..3: move them over once
+INSERT INTO specialties (tag, name, description, image, display_order)
+SELECT NULLIF(tag.value, ''), name.value, NULLIF(description.value, ''), NULLIF(image.value, ''),
+    CAST(substr(name.section, 10) AS INTEGER)
+FROM site_content name
+LEFT JOIN site_content tag ON tag.section = name.section AND tag.key = 'tag'
+LEFT JOIN site_content description ON description.section = name.section AND description.key = 'description'
+LEFT JOIN site_content image ON image.section = name.section AND image.key = 'image'
+WHERE name.section IN ('specialty1', 'specialty2', 'specialty3') AND name.key = 'name'
+    AND name.value <> ''
+    AND NOT EXISTS (SELECT 1 FROM specialties)
+ORDER BY name.section;
+
+DELETE FROM site_content WHERE section IN ('specialty1', 'specialty2', 'specialty3');
+DELETE FROM content_drafts WHERE section IN ('specialty1', 'specialty2', 'specialty3');
+DELETE FROM content_translations WHERE section IN ('specialty1', 'specialty2', 'specialty3');
+
+-- The public gallery used to be the site_content sections gallery1..6 while this table was
+-- unused: hide what the table held (it never showed on the site), move the images over once
+UPDATE gallery SET is_active = 0
+WHERE EXISTS (
+    SELECT 1 FROM site_content
+    WHERE section IN ('gallery1', 'gallery2', 'gallery3', 'gallery4', 'gallery5', 'gallery6')
+        AND key = section AND value <> ''
+);
+
+INSERT INTO gallery (image_url, display_order)
+SELECT value, CAST(substr(section, 8) AS INTEGER)
+FROM site_content
+WHERE section IN ('gallery1', 'gallery2', 'gallery3', 'gallery4', 'gallery5', 'gallery6')
+    AND key = section AND value <> ''
+ORDER BY section;
+
+DELETE FROM site_content WHERE section IN ('gallery1', 'gallery2', 'gallery3', 'gallery4', 'gallery5', 'gallery6');
+DELETE FROM content_drafts WHERE section IN ('gallery1', 'gallery2', 'gallery3', 'gallery4', 'gallery5', 'gallery6');
+DELETE FROM content_translations WHERE section IN ('gallery1', 'gallery2', 'gallery3', 'gallery4', 'gallery5', 'gallery6');
+
+-- Announcements (closures, new menus, "complet ce soir"...) shown as a banner or a modal
+-- between starts_at and ends_at (UTC; NULL = no limit). Guests who dismiss one don't see
+-- it again until it is edited (the site keys dismissals on id + updated_at).
+CREATE TABLE IF NOT EXISTS announcements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message TEXT NOT NULL,
+    message_en TEXT,
+    message_ja TEXT,
+    style TEXT DEFAULT 'info' CHECK (style IN ('info', 'warning', 'promo')),
+    display TEXT DEFAULT 'banner' CHECK (display IN ('banner', 'modal')),
+    link_url TEXT,
+    link_label TEXT,
+    link_label_en TEXT,
+    link_label_ja TEXT,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    is_dismissible INTEGER DEFAULT 1,
+    is_active INTEGER DEFAULT 1,
+    display_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcements_order ON announcements(is_active, display_order);
+
 -- Insert Default Site Content
 INSERT OR IGNORE INTO site_content (section, key, value, type) VALUES
 -- Hero Section
@@ -115,7 +383,17 @@ INSERT OR IGNORE INTO site_content (section, key, value, type) VALUES
 ('hours', 'thursday', '{"lunch": "12h - 14h30", "dinner": "19h - 22h"}', 'json'),
 ('hours', 'friday', '{"lunch": "12h - 14h30", "dinner": "19h - 22h"}', 'json'),
 ('hours', 'saturday', '{"lunch": "12h - 14h30", "dinner": "19h - 22h"}', 'json'),
-('hours', 'sunday', '{"lunch": "12h - 14h30", "dinner": "19h - 22h"}', 'json');
+('hours', 'sunday', '{"lunch": "12h - 14h30", "dinner": "19h - 22h"}', 'json'),
+
+-- SEO (page title / meta description, translated like the rest)
+('seo', 'title', 'HIKARI Sushi & Roll | Restaurant Japonais Authentique Toulouse', 'text'),
+('seo', 'description', 'Découvrez HIKARI à Toulouse (17 allée des Soupirs). Le meilleur restaurant japonais pour sushis, rolls signature et yakitoris. Produits frais, ambiance zen. Réservez : 05 61 55 50 77.', 'text');
+
+INSERT OR IGNORE INTO content_translations (section, key, lang, value) VALUES
+('seo', 'title', 'en', 'HIKARI Sushi & Roll | Authentic Japanese Restaurant in Toulouse'),
+('seo', 'description', 'en', 'Discover HIKARI in Toulouse (17 allée des Soupirs): sushi, signature rolls and yakitori made with fresh produce in a calm setting. Book: +33 5 61 55 50 77.'),
+('seo', 'title', 'ja', 'HIKARI Sushi & Roll | トゥールーズの本格和食レストラン'),
+('seo', 'description', 'ja', 'トゥールーズ（17 allée des Soupirs）の和食レストラン HIKARI。新鮮な素材で作る寿司、オリジナルロール、焼き鳥を落ち着いた空間でどうぞ。ご予約：+33 5 61 55 50 77');
 
 -- Insert Default Settings
 INSERT OR IGNORE INTO settings (key, value, type) VALUES
@@ -135,11 +413,34 @@ INSERT OR IGNORE INTO menu_items (name, description, price, category, image, bad
 ('Gyoza', '6 raviolis japonais grillés au porc', 9.00, 'plats', 'https://images.unsplash.com/photo-1580822184713-fc5400e7fe10?w=300&h=300&fit=crop', '', 2),
 ('Mochi Glacé', '3 pièces - Matcha, mangue, fraise', 6.50, 'desserts', 'https://images.unsplash.com/photo-1563805042-7684c019e1cb?w=300&h=300&fit=crop', '', 1);
 
--- Insert Sample Gallery
-INSERT OR IGNORE INTO gallery (title, image_url, display_order) VALUES
-('Sushi Selection', 'https://images.unsplash.com/photo-1579871494447-9811cf80d66c?w=800&h=600&fit=crop', 1),
-('Maki Rolls', 'https://images.unsplash.com/photo-1553621042-f6e147245754?w=800&h=600&fit=crop', 2),
-('Fresh Sashimi', 'https://images.unsplash.com/photo-1617196034796-73dfa7b1fd56?w=800&h=600&fit=crop', 3),
-('Ramen Bowl', 'https://images.unsplash.com/photo-1617093727343-374698b1b08d?w=800&h=600&fit=crop', 4),
-('Restaurant Interior', 'https://images.unsplash.com/photo-1514190051997-0f6f39ca5cde?w=800&h=600&fit=crop', 5),
-('Chef at Work', 'https://images.unsplash.com/photo-1569718212165-3a8278d5f624?w=800&h=600&fit=crop', 6);
+-- Insert Sample Gallery (first install only)
+INSERT INTO gallery (title, image_url, display_order)
+SELECT * FROM (VALUES
+    ('Sushi Selection', 'https://images.unsplash.com/photo-1579871494447-9811cf80d66c?w=800&h=600&fit=crop', 1),
+    ('Maki Rolls', 'https://images.unsplash.com/photo-1553621042-f6e147245754?w=800&h=600&fit=crop', 2),
+    ('Fresh Sashimi', 'https://images.unsplash.com/photo-1617196034796-73dfa7b1fd56?w=800&h=600&fit=crop', 3),
+    ('Ramen Bowl', 'https://images.unsplash.com/photo-1617093727343-374698b1b08d?w=800&h=600&fit=crop', 4),
+    ('Restaurant Interior', 'https://images.unsplash.com/photo-1514190051997-0f6f39ca5cde?w=800&h=600&fit=crop', 5),
+    ('Chef at Work', 'https://images.unsplash.com/photo-1569718212165-3a8278d5f624?w=800&h=600&fit=crop', 6)
+)
+WHERE NOT EXISTS (SELECT 1 FROM gallery);
+
+-- Insert Sample Testimonials (first install only)
+INSERT INTO testimonials (author, photo, text, rating, source, display_order)
+SELECT * FROM (VALUES
+    ('Marie Dupont', 'https://randomuser.me/api/portraits/women/44.jpg?v=2', 'Une expérience culinaire exceptionnelle ! Les sushis sont d''une fraîcheur incomparable et le service est impeccable. Je recommande vivement le HIKARI Roll, une véritable œuvre d''art.', 5, NULL, 1),
+    ('Pierre Martin', 'https://randomuser.me/api/portraits/men/32.jpg?v=2', 'Le meilleur restaurant japonais de Toulouse ! L''ambiance est zen et apaisante, parfaite pour un dîner romantique. Les chirashis sont absolument délicieux.', 5, NULL, 2),
+    ('Sophie Bernard', 'https://randomuser.me/api/portraits/women/68.jpg?v=2', 'Nous sommes venus pour notre anniversaire et tout était parfait. Le chef a préparé un menu spécial et l''équipe était aux petits soins. Merci HIKARI !', 5, NULL, 3)
+)
+WHERE NOT EXISTS (SELECT 1 FROM testimonials);
+
+-- Insert Sample Specialties linked to the sample menu (first install only)
+INSERT INTO specialties (menu_item_id, tag, tag_en, tag_ja, display_order)
+SELECT menu_items.id, sample.column2, sample.column3, sample.column4, sample.column5
+FROM (VALUES
+    ('Dragon Roll', 'Signature', 'Signature', 'シグネチャー', 1),
+    ('Ramen Tonkotsu', 'Chaud', 'Hot', '温かい料理', 2),
+    ('Mochi Glacé', 'Dessert', 'Dessert', 'デザート', 3)
+) AS sample
+JOIN menu_items ON menu_items.name = sample.column1
+WHERE NOT EXISTS (SELECT 1 FROM specialties);
@@ -3,12 +3,13 @@
  * =====================================
  * API endpoints for D1 database operations
  * Optimized for performance with KV caching
- * Cron job runs at 3:00 AM daily to refresh cache
+ * Cron: scheduled content/menu changes every 15 minutes, full cache refresh at 3:00 AM daily
+ * Languages: fr (source), en, ja - public content/menu accept ?lang=
  */
 
 // CORS headers - cached for reuse
+// Access-Control-Allow-Origin is added per request from the origin allowlist (see withCors)
 const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
@@ -22,32 +23,38 @@ const cacheHeaders = {
 const CACHE_KEYS = {
     CONTENT: 'cache:content',
     MENU: 'cache:menu',
+    TESTIMONIALS: 'cache:testimonials',
+    SPECIALTIES: 'cache:specialties',
+    GALLERY: 'cache:gallery',
+    ANNOUNCEMENTS: 'cache:announcements',
     SETTINGS: 'cache:settings',
     LAST_UPDATE: 'cache:last_update'
 };
 
 // Image size configurations for different content types
-// Only gallery images are resized - others are uploaded at original quality
+// Only gallery thumbnails and testimonial photos are resized - others are uploaded at original quality
 const IMAGE_SIZES = {
     'about': { width: null, height: null, quality: 85 },           // About main image - original
     'about-secondary': { width: null, height: null, quality: 85 }, // About secondary - original
     'signature': { width: null, height: null, quality: 85 },       // Signature dish - original
     'signature-bg': { width: null, height: null, quality: 80 },    // Signature section background - original
-    'specialty-large': { width: null, height: null, quality: 85 }, // Specialty 1 - original
-    'specialty': { width: null, height: null, quality: 85 },       // Specialty 2, 3 - original
+    'specialty': { width: null, height: null, quality: 85 },       // Specialty cards - original
     'reservation': { width: null, height: null, quality: 85 },     // Reservation section - original
     'reservation-bg': { width: null, height: null, quality: 80 },  // Reservation section background - original
-    'gallery': { width: 600, height: 400, quality: 85 },           // Gallery images - resize to 600x400
+    'gallery': { width: 600, height: 400, quality: 85 },           // Gallery thumbnails - resize to 600x400
+    'gallery-full': { width: null, height: null, quality: 85 },    // Gallery photo shown in the lightbox - original
+    'testimonial': { width: 160, height: 160, quality: 85 },       // Testimonial author photos - resize to 160x160
 };
 
 // Helper: JSON response with caching
-function jsonResponse(data, status = 200, cache = false) {
+function jsonResponse(data, status = 200, cache = false, extraHeaders = {}) {
     return new Response(JSON.stringify(data), {
         status,
         headers: {
             'Content-Type': 'application/json',
             ...corsHeaders,
-            ...(cache ? cacheHeaders : {})
+            ...(cache ? cacheHeaders : {}),
+            ...extraHeaders
         }
     });
 }
@@ -57,12 +64,134 @@ function errorResponse(message, status = 400) {
     return jsonResponse({ success: false, error: message }, status);
 }
 
-// Helper: Hash password (simple for demo - use bcrypt in production)
-async function hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password + 'hikari-salt-2024');
+// ===== CONFIGURATION =====
+// Deployment-specific values come from wrangler vars (wrangler.json) and secrets
+// (`wrangler secret put`), so staging and local copies run the same code:
+//   PUBLIC_API_URL        public origin of this worker, used for /assets/ image URLs
+//   SITE_URL              public website, used in emails and for passkeys
+//   ENVIRONMENT           optional label exposed to the front-end (default "production")
+//   CACHE_REFRESH_SECRET  secret, shared with whatever calls POST /api/refresh-cache
+//   TOKEN_SIGNING_SECRET  secret, signs trusted-device tokens
+function requireEnv(env, name) {
+    const value = env[name];
+    if (!value) {
+        throw new Error(`${name} is not configured`);
+    }
+    return value;
+}
+
+function getPublicApiUrl(env) {
+    return requireEnv(env, 'PUBLIC_API_URL').replace(/\/+$/, '');
+}
+
+function getAssetUrl(env, key) {
+    return `${getPublicApiUrl(env)}/assets/${key}`;
+}
+
+// Public settings for the front-end - never put secrets here
+function getPublicConfig(env) {
+    return jsonResponse({
+        success: true,
+        apiUrl: getPublicApiUrl(env),
+        assetsUrl: `${getPublicApiUrl(env)}/assets`,
+        siteUrl: requireEnv(env, 'SITE_URL').replace(/\/+$/, ''),
+        environment: env.ENVIRONMENT || 'production'
+    }, 200, true);
+}
+
+// ===== PASSWORD HASHING =====
+// Stored format: pbkdf2-sha256$<iterations>$<salt hex>$<hash hex>
+// Workers caps PBKDF2 at 100k iterations
+const PASSWORD_ALGORITHM = 'pbkdf2-sha256';
+const PASSWORD_ITERATIONS = 100000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+// Checked when the account doesn't exist (or has no password yet), so the answer takes
+// as long as a real check and login timing doesn't tell which emails have an account.
+// No password matches it.
+const DUMMY_PASSWORD_HASH = `${PASSWORD_ALGORITHM}$${PASSWORD_ITERATIONS}$${'00'.repeat(PASSWORD_SALT_BYTES)}$${'00'.repeat(PASSWORD_HASH_BITS / 8)}`;
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+// Constant-time string comparison (avoids leaking hash prefixes via timing)
+function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+async function pbkdf2(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        PASSWORD_HASH_BITS
+    );
+    return bytesToHex(new Uint8Array(bits));
+}
+
+// Legacy hash (single SHA-256 with a constant salt) - only used to verify old accounts
+async function legacyHashPassword(password) {
+    const data = new TextEncoder().encode(password + 'hikari-salt-2024');
     const hash = await crypto.subtle.digest('SHA-256', data);
-    return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+    return bytesToHex(new Uint8Array(hash));
+}
+
+// Helper: Hash password with a per-user random salt
+async function hashPassword(password) {
+    const salt = new Uint8Array(PASSWORD_SALT_BYTES);
+    crypto.getRandomValues(salt);
+    const hash = await pbkdf2(password, salt, PASSWORD_ITERATIONS);
+    return `${PASSWORD_ALGORITHM}$${PASSWORD_ITERATIONS}$${bytesToHex(salt)}$${hash}`;
+}
+
+// Helper: Verify password against a stored hash
+// Returns { valid, needsRehash } - needsRehash is true for legacy or weaker hashes
+async function verifyPassword(password, storedHash) {
+    if (!password || !storedHash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const parts = storedHash.split('$');
+    if (parts.length === 4 && parts[0] === PASSWORD_ALGORITHM) {
+        const iterations = parseInt(parts[1], 10);
+        if (!iterations || iterations > PASSWORD_ITERATIONS) {
+            return { valid: false, needsRehash: false };
+        }
+        const hash = await pbkdf2(password, hexToBytes(parts[2]), iterations);
+        const valid = timingSafeEqual(hash, parts[3]);
+        return { valid, needsRehash: valid && iterations < PASSWORD_ITERATIONS };
+    }
+
+    // Legacy SHA-256 hash (64 hex chars)
+    const valid = timingSafeEqual(await legacyHashPassword(password), storedHash);
+    return { valid, needsRehash: valid };
+}
+
+// Upgrade a user's stored hash to the current scheme
+async function rehashPassword(env, userId, password) {
+    const passwordHash = await hashPassword(password);
+    await env.hikari_db.prepare(
+        'UPDATE admin_users SET password_hash = ? WHERE id = ?'
+    ).bind(passwordHash, userId).run();
+    console.log('🔐 Password hash upgraded for user', userId);
 }
 
 // Helper: Generate session token
@@ -70,6 +199,138 @@ function generateToken() {
     return crypto.randomUUID() + '-' + Date.now();
 }
 
+// ===== ONE-TIME PASSWORD TOKENS =====
+// Invitation and reset links carry a random token; only its SHA-256 is stored in D1
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_TOKEN_TTL = {
+    invite: 7 * 24 * 60 * 60 * 1000, // 7 days
+    reset: 24 * 60 * 60 * 1000,      // 24 hours (forced by an owner)
+    forgot: 60 * 60 * 1000           // 1 hour (self-service "mot de passe oublié", sent by email)
+};
+
+async function sha256Hex(value) {
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return bytesToHex(new Uint8Array(hash));
+}
+
+// Create a new single-use token for a user (any previous unused token is revoked)
+// 'forgot' tokens are stored as 'reset' - only their lifetime differs
+async function issuePasswordToken(env, userId, purpose, createdBy = null) {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    const token = bytesToHex(bytes);
+    const expiresAt = new Date(Date.now() + PASSWORD_TOKEN_TTL[purpose]).toISOString();
+    if (purpose === 'forgot') purpose = 'reset';
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare(
+            'UPDATE password_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL'
+        ).bind(userId),
+        env.hikari_db.prepare(
+            'INSERT INTO password_tokens (user_id, token_hash, purpose, expires_at, created_by) VALUES (?, ?, ?, ?, ?)'
+        ).bind(userId, await sha256Hex(token), purpose, expiresAt, createdBy)
+    ]);
+
+    return { token, purpose, expiresAt };
+}
+
+// Look up an unused, unexpired token (returns the joined user row or null)
+async function findPasswordToken(env, token) {
+    if (!token) return null;
+
+    const row = await env.hikari_db.prepare(`
+        SELECT t.id, t.user_id, t.purpose, t.expires_at, u.email, u.name, u.is_active
+        FROM password_tokens t
+        JOIN admin_users u ON t.user_id = u.id
+        WHERE t.token_hash = ? AND t.used_at IS NULL
+    `).bind(await sha256Hex(token)).first();
+
+    if (!row || new Date(row.expires_at) <= new Date() || !row.is_active) {
+        return null;
+    }
+    return row;
+}
+
+// ===== MAIL OUTBOX =====
+// Messages are queued in D1 and delivered by a transport chosen with env.MAIL_TRANSPORT:
+//   webhook - POST { from, to, subject, text } as JSON to env.MAIL_WEBHOOK_URL
+//             (secrets MAIL_WEBHOOK_URL / MAIL_WEBHOOK_TOKEN) - production
+//   log     - print recipient and subject to the worker logs, for `wrangler dev` only
+//             (MAIL_TRANSPORT=log in .dev.vars). Bodies carry reset links, so they are
+//             never logged; use "Réinitialiser le mot de passe" in Utilisateurs locally.
+// Without MAIL_TRANSPORT nothing is sent and messages stay pending.
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_BATCH_SIZE = 20;
+
+const MAIL_TRANSPORTS = {
+    async log(message) {
+        console.log(`📧 [mail:log] To: ${message.to} - Subject: ${message.subject} (body not logged)`);
+    },
+
+    async webhook(message, env) {
+        if (!env.MAIL_WEBHOOK_URL) {
+            throw new Error('MAIL_WEBHOOK_URL is not configured');
+        }
+        const response = await fetch(env.MAIL_WEBHOOK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(env.MAIL_WEBHOOK_TOKEN && { 'Authorization': `Bearer ${env.MAIL_WEBHOOK_TOKEN}` })
+            },
+            body: JSON.stringify(message)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status}`);
+        }
+    }
+};
+
+async function queueMail(env, to, subject, text) {
+    await env.hikari_db.prepare(
+        'INSERT INTO mail_outbox (recipient, subject, body) VALUES (?, ?, ?)'
+    ).bind(to, subject, text).run();
+}
+
+// Deliver pending messages. Bodies are cleared once sent (they may contain reset links).
+async function drainOutbox(env) {
+    const transportName = env.MAIL_TRANSPORT;
+    const transport = MAIL_TRANSPORTS[transportName];
+    if (!transport) {
+        console.error(transportName ? `❌ Unknown MAIL_TRANSPORT: ${transportName}` : '❌ MAIL_TRANSPORT is not configured');
+        return { sent: 0, failed: 0 };
+    }
+
+    const { results } = await env.hikari_db.prepare(
+        "SELECT * FROM mail_outbox WHERE status = 'pending' ORDER BY id ASC LIMIT ?"
+    ).bind(MAIL_BATCH_SIZE).all();
+
+    let sent = 0, failed = 0;
+    for (const mail of results) {
+        try {
+            await transport({
+                from: env.MAIL_FROM || 'HIKARI <no-reply@hikari-sushi.fr>',
+                to: mail.recipient,
+                subject: mail.subject,
+                text: mail.body
+            }, env);
+
+            await env.hikari_db.prepare(
+                "UPDATE mail_outbox SET status = 'sent', body = '', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP WHERE id = ?"
+            ).bind(mail.id).run();
+            sent++;
+        } catch (e) {
+            const attempts = mail.attempts + 1;
+            await env.hikari_db.prepare(
+                'UPDATE mail_outbox SET status = ?, attempts = ?, last_error = ? WHERE id = ?'
+            ).bind(attempts >= MAIL_MAX_ATTEMPTS ? 'failed' : 'pending', attempts, e.message, mail.id).run();
+            console.error(`❌ Mail ${mail.id} to ${mail.recipient} failed:`, e.message);
+            failed++;
+        }
+    }
+
+    return { sent, failed };
+}
+
 // ===== 2FA TOTP HELPERS =====
 // Base32 encoding/decoding for TOTP secrets
 const BASE32_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
@@ -139,6 +400,7 @@ async function generateTOTP(secret, timeStep = 30, digits = 6) {
 }
 
 // Verify TOTP code (allows 1 step before/after for clock drift)
+// Returns the matching time step (or null) - see acceptTOTP for replay protection
 async function verifyTOTP(secret, code, window = 1) {
     const timeStep = 30;
     const currentTime = Math.floor(Date.now() / 1000 / timeStep);
@@ -161,181 +423,1543 @@ async function verifyTOTP(secret, code, window = 1) {
         ) % 1000000;
 
         if (generatedCode.toString().padStart(6, '0') === code) {
-            return true;
+            return time;
         }
     }
-    return false;
+    return null;
 }
 
-// Main request handler
-export default {
-    async fetch(request, env, ctx) {
-        // Handle CORS preflight
-        if (request.method === 'OPTIONS') {
-            return new Response(null, { headers: corsHeaders });
+// Accept a TOTP code at most once: its time step must be newer than the last
+// accepted one. The conditional update also stops two concurrent requests
+// from both using the same code.
+async function acceptTOTP(env, userId, secret, code) {
+    const step = await verifyTOTP(secret, code);
+    if (step === null) return false;
+
+    await ensureAdminUserColumns(env);
+    const result = await env.hikari_db.prepare(
+        'UPDATE admin_users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)'
+    ).bind(step, userId, step).run();
+
+    if (!result.meta.changes) {
+        console.log(`♻️ Reused TOTP code rejected for user ${userId}`);
+        return false;
+    }
+    return true;
+}
+
+// ===== QR CODE ENCODER =====
+// Renders the otpauth:// URL as an SVG data URL so the TOTP secret never
+// leaves the worker. Byte mode, error correction level M, versions 1-40.
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1,
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_NUM_ECC_BLOCKS = [-1,
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_ECC_FORMAT_BITS = 0; // level M
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Modules available for data + ECC once function patterns are placed
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function qrDataCodewords(version) {
+    return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_NUM_ECC_BLOCKS[version];
+}
+
+// GF(256) multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
         }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
 
-        const url = new URL(request.url);
-        const path = url.pathname;
-        const method = request.method;
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= qrMultiply(coef, factor); });
+    }
+    return result;
+}
 
-        try {
-            // ===== AUTH ROUTES =====
-            if (path === '/api/auth/login' && method === 'POST') {
-                return await handleLogin(request, env);
-            }
-            if (path === '/api/auth/verify-2fa' && method === 'POST') {
-                return await verify2FALogin(request, env);
-            }
-            if (path === '/api/auth/logout' && method === 'POST') {
-                return await handleLogout(request, env);
-            }
-            if (path === '/api/auth/verify' && method === 'GET') {
-                return await verifySession(request, env);
-            }
-            if (path === '/api/auth/create-admin' && method === 'POST') {
-                return await createAdmin(request, env);
-            }
+// Data + ECC codewords for the smallest version that fits
+function qrEncodeCodewords(bytes) {
+    let version = 1;
+    while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > 40) {
+        throw new Error('Data too long for a QR code');
+    }
 
-            // 2FA Setup routes (requires auth)
-            if (path === '/api/auth/2fa/setup' && method === 'POST') {
-                return await setup2FA(request, env);
-            }
-            if (path === '/api/auth/2fa/verify' && method === 'POST') {
-                return await verify2FASetup(request, env);
-            }
-            if (path === '/api/auth/2fa/disable' && method === 'POST') {
-                return await disable2FA(request, env);
-            }
-            if (path === '/api/auth/2fa/status' && method === 'GET') {
-                return await get2FAStatus(request, env);
-            }
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = qrDataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
 
-            // ===== PUBLIC ROUTES =====
-            if (path === '/api/content' && method === 'GET') {
-                return await getContent(request, env, true); // Enable caching
-            }
-            if (path === '/api/menu' && method === 'GET') {
-                return await getMenuItems(request, env, true); // Enable caching
-            }
-            if (path === '/api/gallery' && method === 'GET') {
-                return await getGallery(env);
-            }
-            if (path === '/api/settings' && method === 'GET') {
-                return await getSettings(env);
-            }
-            if (path === '/api/reservations' && method === 'POST') {
-                return await createReservation(request, env);
-            }
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
 
-            // Serve images from R2 with optional resizing
-            // Format: /assets/menu/image.jpg?w=300&h=300&q=85
-            if (path.startsWith('/assets/') && method === 'GET') {
-                const key = path.replace('/assets/', '');
-                const width = parseInt(url.searchParams.get('w')) || null;
-                const height = parseInt(url.searchParams.get('h')) || null;
-                const quality = parseInt(url.searchParams.get('q')) || 85;
-                return await serveImage(env, key, { width, height, quality }, request);
-            }
+    // Split into blocks (short blocks first), add ECC, then interleave
+    const numBlocks = QR_NUM_ECC_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = qrReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = qrReedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
 
-            // Manual cache refresh endpoint (before auth - protected by secret key)
-            if (path === '/api/refresh-cache' && method === 'POST') {
-                const { secret } = await request.json().catch(() => ({}));
-                if (secret !== 'hikari-cache-2024') {
-                    return errorResponse('Invalid secret', 403);
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte of short blocks
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) codewords.push(block[i]);
+        });
+    }
+    return { version, codewords };
+}
+
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+// Both copies of the 15-bit format information (ECC level + mask)
+function qrDrawFormatBits(set, size, mask) {
+    const data = QR_ECC_FORMAT_BITS << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = (data << 10 | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+// Penalty score used to pick the most readable mask
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    for (let i = 0; i < size; i++) {
+        for (const line of [modules[i], modules.map(row => row[i])]) {
+            // Runs of 5+ modules of the same color
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                    continue;
                 }
-                return await refreshAllCache(env);
+                if (run >= 5) penalty += run - 2;
+                run = 1;
             }
+            // Finder-like patterns
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+        }
+    }
 
-            // ===== PROTECTED ADMIN ROUTES =====
-            const authResult = await checkAuth(request, env);
-            if (!authResult.valid) {
-                return errorResponse('Unauthorized', 401);
+    // 2x2 blocks of the same color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                penalty += 3;
             }
+        }
+    }
 
-            // Content Management
-            if (path === '/api/admin/content' && method === 'GET') {
-                return await getAllContent(env);
-            }
-            if (path === '/api/admin/content' && method === 'PUT') {
-                return await updateContent(request, env);
-            }
+    // Dark/light balance
+    const total = size * size;
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
 
-            // Menu Management
-            if (path === '/api/admin/menu' && method === 'GET') {
-                return await getMenuItems(request, env);
-            }
-            if (path === '/api/admin/menu' && method === 'POST') {
-                return await createMenuItem(request, env);
-            }
-            if (path.startsWith('/api/admin/menu/') && method === 'PUT') {
-                const id = path.split('/').pop();
-                return await updateMenuItem(request, env, id);
-            }
-            if (path.startsWith('/api/admin/menu/') && method === 'DELETE') {
-                const id = path.split('/').pop();
-                return await deleteMenuItem(env, id);
-            }
+    return penalty;
+}
 
-            // Reservations Management
-            if (path === '/api/admin/reservations' && method === 'GET') {
-                return await getAllReservations(request, env);
-            }
-            if (path.startsWith('/api/admin/reservations/') && method === 'PUT') {
-                const id = path.split('/').pop();
-                return await updateReservation(request, env, id);
-            }
-            if (path.startsWith('/api/admin/reservations/') && method === 'DELETE') {
-                const id = path.split('/').pop();
-                return await deleteReservation(env, id);
-            }
+function qrBuildMatrix(version, codewords) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
 
-            // Gallery Management
-            if (path === '/api/admin/gallery' && method === 'POST') {
-                return await createGalleryItem(request, env);
-            }
-            if (path.startsWith('/api/admin/gallery/') && method === 'DELETE') {
-                const id = path.split('/').pop();
-                return await deleteGalleryItem(env, id);
-            }
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
 
-            // Settings Management
-            if (path === '/api/admin/settings' && method === 'PUT') {
-                return await updateSettings(request, env);
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
             }
+        }
+    }
 
-            // Stats
-            if (path === '/api/admin/stats' && method === 'GET') {
-                return await getStats(env);
+    // Alignment patterns (except where they would overlap the finders)
+    const align = qrAlignmentPositions(version);
+    const last = align.length - 1;
+    align.forEach((ax, i) => align.forEach((ay, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
             }
+        }
+    }));
+
+    // Reserve the format areas (real bits are drawn per mask below)
+    qrDrawFormatBits(setFunction, size, 0);
+
+    // Version information (v7+)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = version << 12 | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
 
-            // Image Upload to R2
-            if (path === '/api/admin/upload' && method === 'POST') {
-                return await uploadImage(request, env);
+    // Data in a zigzag from the bottom-right corner, skipping the vertical timing column
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < size; vert++) {
+            const y = upward ? size - 1 - vert : vert;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
             }
+        }
+    }
 
-            // Content Image Upload to R2 (pre-resized for specific content types)
-            if (path === '/api/admin/upload-content' && method === 'POST') {
-                return await uploadContentImage(request, env);
-            }
+    // Apply each mask and keep the one with the lowest penalty
+    let best = null;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((mask, maskIndex) => {
+        const candidate = modules.map((row, y) => row.map((dark, x) => (isFunction[y][x] ? dark : dark !== mask(x, y))));
+        qrDrawFormatBits((x, y, dark) => { candidate[y][x] = dark; }, size, maskIndex);
+        const penalty = qrPenalty(candidate);
+        if (penalty < bestPenalty) {
+            best = candidate;
+            bestPenalty = penalty;
+        }
+    });
+    return best;
+}
 
-            // Get image size configuration
-            if (path === '/api/admin/image-sizes' && method === 'GET') {
-                return jsonResponse({ success: true, sizes: IMAGE_SIZES });
-            }
+// Encode text as a QR code and return it as an SVG data URL
+function generateQRCodeDataUrl(text, border = 4) {
+    const { version, codewords } = qrEncodeCodewords(new TextEncoder().encode(text));
+    const modules = qrBuildMatrix(version, codewords);
+    const size = modules.length + border * 2;
 
-            // Delete image from R2
-            if (path.startsWith('/api/admin/upload/') && method === 'DELETE') {
-                const key = path.replace('/api/admin/upload/', '');
-                return await deleteImage(env, key);
-            }
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+    }));
 
-            // Migration: Generate thumbnails for existing images
-            if (path === '/api/admin/migrate-thumbnails' && method === 'POST') {
-                return await migrateThumbnails(env);
-            }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    return `data:image/svg+xml;base64,${btoa(svg)}`;
+}
 
-            return errorResponse('Not found', 404);
+// ===== 2FA RECOVERY CODES =====
+// One-time codes (XXXXX-XXXXX) shown once when 2FA is enabled; stored as SHA-256
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 10;
+
+function normalizeRecoveryCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+}
+
+function generateRecoveryCode() {
+    const bytes = new Uint8Array(RECOVERY_CODE_LENGTH);
+    crypto.getRandomValues(bytes);
+    const chars = Array.from(bytes, b => BASE32_CHARS[b % 32]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+// Replace the user's recovery codes with a fresh set; returns the plain codes
+async function regenerateRecoveryCodes(env, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    const hashes = await Promise.all(codes.map(code => sha256Hex(normalizeRecoveryCode(code))));
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+        ...hashes.map(hash => env.hikari_db.prepare(
+            'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)'
+        ).bind(userId, hash))
+    ]);
+
+    return codes;
+}
+
+// Burn a recovery code; true if it was valid and unused
+async function consumeRecoveryCode(env, userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (normalized.length !== RECOVERY_CODE_LENGTH) return false;
+
+    const result = await env.hikari_db.prepare(
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL'
+    ).bind(userId, await sha256Hex(normalized)).run();
+
+    return result.meta.changes > 0;
+}
+
+async function countRecoveryCodes(env, userId) {
+    const row = await env.hikari_db.prepare(
+        'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL'
+    ).bind(userId).first();
+    return row.count;
+}
+
+// Accept either a TOTP code or a recovery code (the latter is burned)
+// Returns 'totp', 'recovery' or null
+async function verifySecondFactor(env, userId, secret, code) {
+    const value = String(code).trim();
+    if (/^[0-9]{6}$/.test(value)) {
+        return await acceptTOTP(env, userId, secret, value) ? 'totp' : null;
+    }
+    return await consumeRecoveryCode(env, userId, value) ? 'recovery' : null;
+}
+
+// ===== SIGNED TOKENS =====
+// Stateless "payload.signature" tokens (HMAC-SHA256) for data kept by the client.
+// The key comes from the TOKEN_SIGNING_SECRET secret (wrangler secret put).
+async function getSigningKey(env) {
+    return await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(requireEnv(env, 'TOKEN_SIGNING_SECRET')),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+    );
+}
+
+async function signToken(env, payload) {
+    const body = bytesToBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = await crypto.subtle.sign('HMAC', await getSigningKey(env), new TextEncoder().encode(body));
+    return `${body}.${bytesToBase64Url(new Uint8Array(signature))}`;
+}
+
+// Returns the payload, or null if the token is malformed, tampered with or expired (payload.exp, ms)
+async function verifySignedToken(env, token) {
+    if (typeof token !== 'string' || !env.TOKEN_SIGNING_SECRET) return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    try {
+        const valid = await crypto.subtle.verify(
+            'HMAC', await getSigningKey(env), base64UrlToBytes(signature), new TextEncoder().encode(body)
+        );
+        if (!valid) return null;
+
+        const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(body)));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ===== TRUSTED DEVICES =====
+// "Faire confiance à cet appareil": after a successful 2FA login the browser
+// keeps a signed token that skips the second factor for 30 days. The token is
+// bound to the TOTP secret (re-enrolling 2FA voids it) and to
+// trusted_device_version, which the user bumps to forget every device.
+const TRUSTED_DEVICE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+async function totpFingerprint(secret) {
+    return (await sha256Hex(secret || '')).slice(0, 16);
+}
+
+async function issueTrustedDeviceToken(env, user) {
+    const expiresAt = Date.now() + TRUSTED_DEVICE_TTL;
+    const token = await signToken(env, {
+        typ: 'device',
+        uid: user.id,
+        ver: user.trusted_device_version || 0,
+        tfp: await totpFingerprint(user.totp_secret),
+        exp: expiresAt
+    });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+async function isTrustedDevice(env, user, token) {
+    if (!token) return false;
+    const payload = await verifySignedToken(env, token);
+    return !!payload
+        && payload.typ === 'device'
+        && payload.uid === user.id
+        && payload.ver === (user.trusted_device_version || 0)
+        && payload.tfp === await totpFingerprint(user.totp_secret);
+}
+
+// ===== WEBAUTHN (PASSKEY) HELPERS =====
+// Relying party = the admin site (SITE_URL). Passkeys require user verification
+// (PIN / biometrics), so they replace both the password and the TOTP code.
+const WEBAUTHN_CHALLENGE_TTL = 300; // seconds
+const WEBAUTHN_CHALLENGE_PREFIX = 'webauthn:challenge:';
+const COSE_ALG = { ES256: -7, RS256: -257 };
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function getWebAuthnConfig(env) {
+    if (!env.SITE_URL) {
+        throw new Error('SITE_URL is not configured - required for passkeys');
+    }
+    const site = new URL(env.SITE_URL);
+    // Extra origins on the same registrable domain (e.g. https://admin.hikari-sushi.fr)
+    const extraOrigins = (env.WEBAUTHN_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+    return {
+        rpId: env.WEBAUTHN_RP_ID || site.hostname,
+        rpName: 'HIKARI Admin',
+        origins: [site.origin, ...extraOrigins]
+    };
+}
+
+// Minimal CBOR decoder (enough for attestation objects and COSE keys)
+function decodeCBOR(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    function readLength(info) {
+        if (info < 24) return info;
+        if (info === 24) return view.getUint8(offset++);
+        if (info === 25) { const v = view.getUint16(offset); offset += 2; return v; }
+        if (info === 26) { const v = view.getUint32(offset); offset += 4; return v; }
+        throw new Error('Unsupported CBOR length');
+    }
+
+    function read() {
+        const initial = view.getUint8(offset++);
+        const major = initial >> 5;
+        const length = readLength(initial & 0x1f);
+
+        switch (major) {
+            case 0: return length;
+            case 1: return -1 - length;
+            case 2: { const v = bytes.slice(offset, offset + length); offset += length; return v; }
+            case 3: { const v = new TextDecoder().decode(bytes.slice(offset, offset + length)); offset += length; return v; }
+            case 4: return Array.from({ length }, read);
+            case 5: {
+                const map = new Map();
+                for (let i = 0; i < length; i++) map.set(read(), read());
+                return map;
+            }
+            case 7: return initial === 0xf5 ? true : initial === 0xf4 ? false : null;
+            default: throw new Error('Unsupported CBOR type');
+        }
+    }
+
+    const value = read();
+    return { value, length: offset };
+}
+
+// Parse authenticator data (rpIdHash | flags | signCount | [attested credential])
+function parseAuthenticatorData(authData) {
+    const view = new DataView(authData.buffer, authData.byteOffset, authData.byteLength);
+    const result = {
+        rpIdHash: authData.slice(0, 32),
+        flags: authData[32],
+        signCount: view.getUint32(33)
+    };
+
+    // AT flag: attested credential data present (registration only)
+    if (result.flags & 0x40) {
+        const idLength = view.getUint16(53);
+        result.credentialId = authData.slice(55, 55 + idLength);
+        result.publicKey = decodeCBOR(authData.slice(55 + idLength)).value;
+    }
+    return result;
+}
+
+// COSE public key -> JWK (ES256 / RS256 only)
+function coseToJwk(cose) {
+    const alg = cose.get(3);
+    if (alg === COSE_ALG.ES256 && cose.get(1) === 2 && cose.get(-1) === 1) {
+        return { alg, jwk: { kty: 'EC', crv: 'P-256', x: bytesToBase64Url(cose.get(-2)), y: bytesToBase64Url(cose.get(-3)) } };
+    }
+    if (alg === COSE_ALG.RS256 && cose.get(1) === 3) {
+        return { alg, jwk: { kty: 'RSA', alg: 'RS256', n: bytesToBase64Url(cose.get(-1)), e: bytesToBase64Url(cose.get(-2)) } };
+    }
+    throw new Error('Unsupported passkey algorithm');
+}
+
+// ECDSA signatures come DER-encoded; WebCrypto expects raw r|s
+function derToRawSignature(der) {
+    let offset = 2;
+    const parts = [];
+    for (let i = 0; i < 2; i++) {
+        const length = der[offset + 1];
+        let value = der.slice(offset + 2, offset + 2 + length);
+        offset += 2 + length;
+        while (value.length > 32 && value[0] === 0) value = value.slice(1);
+        const padded = new Uint8Array(32);
+        padded.set(value, 32 - value.length);
+        parts.push(padded);
+    }
+    const raw = new Uint8Array(64);
+    raw.set(parts[0], 0);
+    raw.set(parts[1], 32);
+    return raw;
+}
+
+async function verifyPasskeySignature(alg, jwk, signature, data) {
+    if (alg === COSE_ALG.ES256) {
+        const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+    }
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+}
+
+async function createWebAuthnChallenge(env, type, userId = null) {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    const challenge = bytesToBase64Url(bytes);
+    await env.hikari_cache.put(
+        WEBAUTHN_CHALLENGE_PREFIX + challenge,
+        JSON.stringify({ type, userId }),
+        { expirationTtl: WEBAUTHN_CHALLENGE_TTL }
+    );
+    return challenge;
+}
+
+// Check clientDataJSON (type, origin) and consume its challenge; returns the challenge record
+async function verifyClientData(env, config, clientDataJSON, expectedType) {
+    const clientData = JSON.parse(new TextDecoder().decode(clientDataJSON));
+
+    if (clientData.type !== expectedType) {
+        throw new Error('Invalid client data type');
+    }
+    if (!config.origins.includes(clientData.origin)) {
+        throw new Error('Invalid origin');
+    }
+
+    const key = WEBAUTHN_CHALLENGE_PREFIX + clientData.challenge;
+    const stored = await env.hikari_cache.get(key);
+    if (!stored) {
+        throw new Error('Challenge expired');
+    }
+    await env.hikari_cache.delete(key);
+
+    const challenge = JSON.parse(stored);
+    if (challenge.type !== expectedType) {
+        throw new Error('Invalid challenge');
+    }
+    return challenge;
+}
+
+// Check rpIdHash and the user present / user verified flags
+async function verifyAuthenticatorFlags(config, authData) {
+    const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(config.rpId)));
+    if (bytesToHex(rpIdHash) !== bytesToHex(authData.rpIdHash)) {
+        throw new Error('Invalid relying party');
+    }
+    if (!(authData.flags & 0x01) || !(authData.flags & 0x04)) {
+        throw new Error('User verification required');
+    }
+}
+
+// ===== LOGIN THROTTLING =====
+// Failed login / 2FA attempts are counted per IP and per account in KV.
+// Past the limit, each further failure doubles the lockout (capped).
+// Password reset requests have their own per-IP bucket ('reset'), so a few of them from
+// the restaurant's shared connection never lock staff out of signing in.
+const THROTTLE_LIMITS = {
+    ip: { maxAttempts: 20, baseLockSeconds: 60, maxLockSeconds: 3600 },
+    account: { maxAttempts: 5, baseLockSeconds: 60, maxLockSeconds: 3600 },
+    reset: { maxAttempts: 5, baseLockSeconds: 300, maxLockSeconds: 3600 }
+};
+const THROTTLE_WINDOW_SECONDS = 3600; // Attempt counters reset after 1h without failures
+const THROTTLE_PREFIX = {
+    ATTEMPTS: 'auth:attempts:',
+    LOCKOUT: 'auth:lockout:'
+};
+
+function getClientIP(request) {
+    return request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For')?.split(',')[0].trim() || 'unknown';
+}
+
+function throttleKey(prefix, scope, identifier) {
+    return `${prefix}${scope}:${identifier}`;
+}
+
+// Returns seconds until the lock expires (0 if not locked)
+async function getLockRemaining(env, scope, identifier) {
+    const raw = await env.hikari_cache.get(throttleKey(THROTTLE_PREFIX.ATTEMPTS, scope, identifier));
+    if (!raw) return 0;
+    const state = JSON.parse(raw);
+    if (!state.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+}
+
+// Check both IP and account locks before attempting authentication
+async function checkThrottle(env, ip, account) {
+    const checks = [['ip', ip]];
+    if (account) checks.push(['account', account]);
+
+    for (const [scope, identifier] of checks) {
+        const remaining = await getLockRemaining(env, scope, identifier);
+        if (remaining > 0) {
+            return { locked: true, retryAfter: remaining };
+        }
+    }
+    return { locked: false };
+}
+
+async function recordFailure(env, scope, identifier, context = {}) {
+    const limits = THROTTLE_LIMITS[scope];
+    const key = throttleKey(THROTTLE_PREFIX.ATTEMPTS, scope, identifier);
+    const raw = await env.hikari_cache.get(key);
+    const state = raw ? JSON.parse(raw) : { count: 0, lockedUntil: null };
+
+    state.count++;
+    state.lastAttempt = Date.now();
+
+    let lockSeconds = 0;
+    if (state.count >= limits.maxAttempts) {
+        const exponent = state.count - limits.maxAttempts;
+        lockSeconds = Math.min(limits.baseLockSeconds * Math.pow(2, exponent), limits.maxLockSeconds);
+        state.lockedUntil = Date.now() + lockSeconds * 1000;
+    }
+
+    await env.hikari_cache.put(key, JSON.stringify(state), {
+        expirationTtl: Math.max(THROTTLE_WINDOW_SECONDS, lockSeconds)
+    });
+
+    if (lockSeconds > 0) {
+        // Record lockout so it can be reviewed / cleared from the admin panel
+        const lockout = {
+            scope,
+            identifier,
+            attempts: state.count,
+            lockedUntil: new Date(state.lockedUntil).toISOString(),
+            lockedAt: new Date().toISOString(),
+            ...context
+        };
+        await env.hikari_cache.put(
+            throttleKey(THROTTLE_PREFIX.LOCKOUT, scope, identifier),
+            JSON.stringify(lockout),
+            { expirationTtl: Math.max(60, lockSeconds), metadata: lockout }
+        );
+        console.log(`🔒 Auth lockout: ${scope} ${identifier} for ${lockSeconds}s`);
+    }
+
+    return lockSeconds;
+}
+
+// Record a failed attempt for the IP and account; returns the longest lock applied
+async function registerFailedAttempt(env, ip, account, context = {}) {
+    const ipLock = await recordFailure(env, 'ip', ip, context);
+    const accountLock = account ? await recordFailure(env, 'account', account, { ...context, ip }) : 0;
+    return Math.max(ipLock, accountLock);
+}
+
+async function clearThrottle(env, scope, identifier) {
+    await env.hikari_cache.delete(throttleKey(THROTTLE_PREFIX.ATTEMPTS, scope, identifier));
+    await env.hikari_cache.delete(throttleKey(THROTTLE_PREFIX.LOCKOUT, scope, identifier));
+}
+
+function tooManyAttemptsResponse(retryAfter) {
+    return jsonResponse({
+        success: false,
+        error: `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+        retryAfter
+    }, 429, false, { 'Retry-After': String(retryAfter) });
+}
+
+// ===== ROLES & PERMISSIONS =====
+// owner: everything (users, security, maintenance)
+// manager: day-to-day content, menu and reservations
+// staff: floor staff - view data and confirm reservations
+const ROLES = ['owner', 'manager', 'staff'];
+
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    manager: [
+        'content:read', 'content:write', 'content:publish',
+        'menu:read', 'menu:write', 'menu:delete',
+        'reservations:read', 'reservations:write', 'reservations:delete',
+        'gallery:read', 'gallery:write', 'gallery:delete',
+        'testimonials:read', 'testimonials:write', 'testimonials:delete',
+        'specialties:read', 'specialties:write', 'specialties:delete',
+        'announcements:read', 'announcements:write', 'announcements:delete',
+        'settings:write', 'stats:read',
+        'uploads:write', 'uploads:delete'
+    ],
+    staff: [
+        'content:read', 'menu:read', 'testimonials:read', 'specialties:read', 'gallery:read',
+        'announcements:read',
+        'reservations:read', 'reservations:write',
+        'stats:read'
+    ]
+};
+
+// Permission required for each /api/admin/* route ('*' suffix = prefix match)
+// Admin routes not listed here are owner-only
+const ROUTE_PERMISSIONS = [
+    { method: 'GET', path: '/api/admin/content', permission: 'content:read' },
+    { method: 'PUT', path: '/api/admin/content', permission: 'content:write' },
+    { method: 'GET', path: '/api/admin/content/revisions', permission: 'content:read' },
+    { method: 'GET', path: '/api/admin/content/revisions/*', permission: 'content:read' },
+    { method: 'POST', path: '/api/admin/content/revisions/*', permission: 'content:write' },
+    { method: 'GET', path: '/api/admin/content/drafts', permission: 'content:read' },
+    { method: 'DELETE', path: '/api/admin/content/drafts', permission: 'content:write' },
+    { method: 'POST', path: '/api/admin/content/preview', permission: 'content:read' },
+    { method: 'POST', path: '/api/admin/content/publish', permission: 'content:publish' },
+    { method: 'POST', path: '/api/admin/content/unschedule', permission: 'content:publish' },
+    { method: 'GET', path: '/api/admin/content/schema', permission: 'content:read' },
+    // publish: true additionally needs content:publish (checked in saveContentBatch)
+    { method: 'POST', path: '/api/admin/content/batch', permission: 'content:write' },
+    { method: 'GET', path: '/api/admin/content/translations', permission: 'content:read' },
+    // Translations skip the draft step, so writing one is publishing it
+    { method: 'PUT', path: '/api/admin/content/translations', permission: 'content:publish' },
+    { method: 'GET', path: '/api/admin/menu', permission: 'menu:read' },
+    { method: 'POST', path: '/api/admin/menu', permission: 'menu:write' },
+    { method: 'PUT', path: '/api/admin/menu/*', permission: 'menu:write' },
+    { method: 'DELETE', path: '/api/admin/menu/*', permission: 'menu:delete' },
+    { method: 'GET', path: '/api/admin/reservations', permission: 'reservations:read' },
+    { method: 'PUT', path: '/api/admin/reservations/*', permission: 'reservations:write' },
+    { method: 'DELETE', path: '/api/admin/reservations/*', permission: 'reservations:delete' },
+    { method: 'GET', path: '/api/admin/gallery', permission: 'gallery:read' },
+    { method: 'POST', path: '/api/admin/gallery', permission: 'gallery:write' },
+    { method: 'PUT', path: '/api/admin/gallery/*', permission: 'gallery:write' },
+    { method: 'DELETE', path: '/api/admin/gallery/*', permission: 'gallery:delete' },
+    { method: 'GET', path: '/api/admin/testimonials', permission: 'testimonials:read' },
+    { method: 'POST', path: '/api/admin/testimonials', permission: 'testimonials:write' },
+    { method: 'PUT', path: '/api/admin/testimonials/*', permission: 'testimonials:write' },
+    { method: 'DELETE', path: '/api/admin/testimonials/*', permission: 'testimonials:delete' },
+    { method: 'GET', path: '/api/admin/specialties', permission: 'specialties:read' },
+    { method: 'POST', path: '/api/admin/specialties', permission: 'specialties:write' },
+    { method: 'PUT', path: '/api/admin/specialties/*', permission: 'specialties:write' },
+    { method: 'DELETE', path: '/api/admin/specialties/*', permission: 'specialties:delete' },
+    { method: 'GET', path: '/api/admin/announcements', permission: 'announcements:read' },
+    { method: 'POST', path: '/api/admin/announcements', permission: 'announcements:write' },
+    { method: 'PUT', path: '/api/admin/announcements/*', permission: 'announcements:write' },
+    { method: 'DELETE', path: '/api/admin/announcements/*', permission: 'announcements:delete' },
+    { method: 'PUT', path: '/api/admin/settings', permission: 'settings:write' },
+    { method: 'GET', path: '/api/admin/stats', permission: 'stats:read' },
+    { method: 'POST', path: '/api/admin/upload', permission: 'uploads:write' },
+    { method: 'POST', path: '/api/admin/upload-content', permission: 'uploads:write' },
+    { method: 'GET', path: '/api/admin/image-sizes', permission: 'uploads:write' },
+    { method: 'DELETE', path: '/api/admin/upload/*', permission: 'uploads:delete' },
+    { method: 'GET', path: '/api/admin/lockouts', permission: 'security:manage' },
+    { method: 'DELETE', path: '/api/admin/lockouts/*', permission: 'security:manage' },
+    { method: 'GET', path: '/api/admin/users', permission: 'users:manage' },
+    { method: 'POST', path: '/api/admin/users', permission: 'users:manage' },
+    { method: 'PUT', path: '/api/admin/users/*', permission: 'users:manage' },
+    { method: 'POST', path: '/api/admin/users/*', permission: 'users:manage' },
+    { method: 'DELETE', path: '/api/admin/users/*', permission: 'users:manage' },
+    { method: 'POST', path: '/api/admin/migrate-thumbnails', permission: 'maintenance:run' },
+    { method: 'POST', path: '/api/admin/refresh-cache', permission: 'maintenance:run' },
+    { method: 'GET', path: '/api/admin/audit', permission: 'audit:read' },
+    { method: 'GET', path: '/api/admin/api-keys', permission: 'api_keys:manage' },
+    { method: 'POST', path: '/api/admin/api-keys', permission: 'api_keys:manage' },
+    { method: 'DELETE', path: '/api/admin/api-keys/*', permission: 'api_keys:manage' }
+];
+
+// All known permissions (used to expand the owner wildcard for the admin UI)
+const ALL_PERMISSIONS = [...new Set([
+    ...ROUTE_PERMISSIONS.map(r => r.permission),
+    ...Object.values(ROLE_PERMISSIONS).flat()
+])].filter(p => p !== '*');
+
+function getRolePermissions(role) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') ? ['*', ...ALL_PERMISSIONS] : permissions;
+}
+
+// Shape of the user object returned to the admin UI
+function toPublicUser(row) {
+    const role = ROLES.includes(row.role) ? row.role : 'staff';
+    return {
+        id: row.user_id ?? row.id,
+        email: row.email,
+        name: row.name,
+        role,
+        permissions: getRolePermissions(role)
+    };
+}
+
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Find the permission required by an admin route (null = owner-only)
+function getRoutePermission(method, path) {
+    const route = ROUTE_PERMISSIONS.find(r => {
+        if (r.method !== method) return false;
+        return r.path.endsWith('/*')
+            ? path.startsWith(r.path.slice(0, -1))
+            : path === r.path;
+    });
+    return route ? route.permission : null;
+}
+
+// Helper: Ensure admin_users has the columns added after the initial schema
+const ADMIN_USER_COLUMNS = {
+    totp_secret: 'TEXT',
+    totp_enabled: 'INTEGER DEFAULT 0',
+    role: "TEXT DEFAULT 'staff'",
+    is_active: 'INTEGER DEFAULT 1',
+    totp_last_step: 'INTEGER',
+    trusted_device_version: 'INTEGER DEFAULT 0'
+};
+let adminUserColumnsChecked = false;
+
+async function ensureAdminUserColumns(env) {
+    if (adminUserColumnsChecked) return true;
+    try {
+        const tableInfo = await env.hikari_db.prepare('PRAGMA table_info(admin_users)').all();
+        const existing = tableInfo.results.map(col => col.name);
+
+        for (const [column, definition] of Object.entries(ADMIN_USER_COLUMNS)) {
+            if (existing.includes(column)) continue;
+            await env.hikari_db.prepare(`ALTER TABLE admin_users ADD COLUMN ${column} ${definition}`).run();
+            console.log(`📊 Added ${column} column to admin_users`);
+
+            // Accounts created before roles existed keep full access
+            if (column === 'role') {
+                await env.hikari_db.prepare("UPDATE admin_users SET role = 'owner'").run();
+            }
+        }
+        adminUserColumnsChecked = true;
+        return true;
+    } catch (e) {
+        console.error('Migration error:', e);
+        return false;
+    }
+}
+
+// ===== SESSIONS =====
+// Sessions slide: each authenticated request pushes the expiry back to
+// SESSION_IDLE_TTL, but never past SESSION_MAX_LIFETIME after sign-in.
+const SESSION_IDLE_TTL = 7 * 24 * 60 * 60 * 1000;       // 7 days
+const SESSION_MAX_LIFETIME = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;           // write last_seen at most every 5 minutes
+
+const SESSION_COLUMNS = {
+    user_agent: 'TEXT',
+    ip_address: 'TEXT',
+    last_seen_at: 'DATETIME'
+};
+let sessionColumnsChecked = false;
+
+async function ensureSessionColumns(env) {
+    if (sessionColumnsChecked) return true;
+    try {
+        const tableInfo = await env.hikari_db.prepare('PRAGMA table_info(sessions)').all();
+        const existing = tableInfo.results.map(col => col.name);
+
+        for (const [column, definition] of Object.entries(SESSION_COLUMNS)) {
+            if (existing.includes(column)) continue;
+            await env.hikari_db.prepare(`ALTER TABLE sessions ADD COLUMN ${column} ${definition}`).run();
+            console.log(`📊 Added ${column} column to sessions`);
+        }
+        sessionColumnsChecked = true;
+        return true;
+    } catch (e) {
+        console.error('Migration error:', e);
+        return false;
+    }
+}
+
+// SQLite-comparable UTC timestamp (YYYY-MM-DD HH:MM:SS)
+function toSqlDate(ms) {
+    return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Parse a D1 timestamp (stored either as ISO or as SQLite UTC text)
+function parseSqlDate(value) {
+    return new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z').getTime();
+}
+
+// Delete expired sessions (including abandoned pending-2fa ones)
+async function purgeExpiredSessions(env) {
+    const result = await env.hikari_db.prepare(
+        "DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')"
+    ).run();
+    return result.meta.changes || 0;
+}
+
+// ===== AUDIT LOG =====
+// Admin mutations record who changed what, with before/after snapshots.
+// A failed audit write is logged but never fails the mutation itself.
+// Snapshots can hold customer details (reservations), so entries are purged after a year.
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const AUDIT_RETENTION_DAYS = 365;
+
+function toAuditJson(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+async function logAudit(env, actor, action, entity, entityId = null, before = null, after = null) {
+    try {
+        await env.hikari_db.prepare(`
+            INSERT INTO audit_log (user_id, user_email, action, entity, entity_id, before_data, after_data, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            actor?.id ?? null, actor?.email ?? null, action, entity,
+            entityId === null || entityId === undefined ? null : String(entityId),
+            toAuditJson(before), toAuditJson(after), actor?.ip ?? null
+        ).run();
+    } catch (e) {
+        console.error('Audit log error:', e);
+    }
+}
+
+// Delete entries older than the retention period (daily cron)
+async function purgeOldAuditEntries(env) {
+    const result = await env.hikari_db.prepare(
+        "DELETE FROM audit_log WHERE datetime(created_at) <= datetime('now', ?)"
+    ).bind(`-${AUDIT_RETENTION_DAYS} days`).run();
+    return result.meta.changes || 0;
+}
+
+// Admin user snapshot without credentials
+async function getUserSnapshot(env, id) {
+    return await env.hikari_db.prepare(
+        'SELECT id, email, name, role, is_active FROM admin_users WHERE id = ?'
+    ).bind(id).first();
+}
+
+// ===== API KEYS =====
+// Machine integrations (till, reporting spreadsheet) send "Authorization: Bearer hk_..."
+// Keys carry their own scopes (route permissions) and only reach /api/admin/* routes.
+const API_KEY_PREFIX = 'hk_';
+const API_KEY_MAX_DAYS = 730;
+const API_KEY_TOUCH_INTERVAL = 60 * 1000; // write last_used at most every minute
+
+// Permissions that can be granted to a key (account and security management stay human-only)
+const API_KEY_SCOPES = ALL_PERMISSIONS.filter(p =>
+    !['users:manage', 'security:manage', 'api_keys:manage'].includes(p)
+);
+
+function generateApiKey() {
+    return API_KEY_PREFIX + bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+// checkAuth counterpart for API keys
+async function checkApiKey(request, env, key) {
+    const url = new URL(request.url);
+    if (!url.pathname.startsWith('/api/admin/')) {
+        return { valid: false };
+    }
+
+    const row = await env.hikari_db.prepare(`
+        SELECT * FROM api_keys
+        WHERE key_hash = ? AND revoked_at IS NULL
+        AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+    `).bind(await sha256Hex(key)).first();
+
+    if (!row) {
+        return { valid: false };
+    }
+
+    const now = Date.now();
+    const lastUsed = row.last_used_at ? parseSqlDate(row.last_used_at) : 0;
+    if (now - lastUsed > API_KEY_TOUCH_INTERVAL) {
+        await env.hikari_db.prepare(
+            'UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?'
+        ).bind(toSqlDate(now), getClientIP(request), row.id).run();
+    }
+
+    const scopes = JSON.parse(row.scopes || '[]');
+    const user = { id: null, email: `api-key:${row.name}`, name: row.name, role: 'api', permissions: scopes, apiKeyId: row.id };
+
+    const permission = getRoutePermission(request.method, url.pathname);
+    if (!permission || !scopes.includes(permission)) {
+        console.log(`⛔ API key "${row.name}" denied ${request.method} ${url.pathname}`);
+        return { valid: false, status: 403, error: 'Forbidden: API key scope does not allow this route', user };
+    }
+
+    return { valid: true, user };
+}
+
+// ===== CORS & CSRF =====
+// Browsers may only call the API from the site itself: production, Pages
+// previews and local dev. ALLOWED_ORIGINS (comma-separated) overrides the
+// defaults; '*' matches a subdomain label or a port.
+const DEFAULT_ALLOWED_ORIGINS = [
+    'https://hikari-sushi.fr',
+    'https://www.hikari-sushi.fr',
+    'https://hikari-sushi.pages.dev',
+    'https://*.hikari-sushi.pages.dev',
+    'http://localhost:*',
+    'http://127.0.0.1:*'
+];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function getAllowedOriginPatterns(env) {
+    const origins = env.ALLOWED_ORIGINS
+        ? env.ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+        : DEFAULT_ALLOWED_ORIGINS;
+
+    return origins.map(origin => new RegExp('^' + origin
+        .toLowerCase()
+        .replace(/\/+$/, '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[a-z0-9-]+') + '$'));
+}
+
+function isAllowedOrigin(origin, env) {
+    if (!origin) return false;
+    return getAllowedOriginPatterns(env).some(pattern => pattern.test(origin.toLowerCase()));
+}
+
+// Page that sent the request: Origin, or the Referer's origin when Origin is missing
+function getRequestOrigin(request) {
+    const origin = request.headers.get('Origin');
+    if (origin) return origin;
+
+    const referer = request.headers.get('Referer');
+    if (!referer) return null;
+    try {
+        return new URL(referer).origin;
+    } catch (e) {
+        return 'null';
+    }
+}
+
+// Copy a response, allowing the given origin (null = no cross-origin access)
+function withCors(response, origin) {
+    const headers = new Headers(response.headers);
+    if (origin) {
+        headers.set('Access-Control-Allow-Origin', origin);
+    }
+    headers.append('Vary', 'Origin');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// Main request handler
+export default {
+    async fetch(request, env, ctx) {
+        const url = new URL(request.url);
+
+        // Uploaded images stay public: serveImage sends its own wildcard CORS headers
+        if (url.pathname.startsWith('/assets/')) {
+            if (request.method === 'OPTIONS') {
+                return new Response(null, { headers: { ...corsHeaders, 'Access-Control-Allow-Origin': '*' } });
+            }
+            return await this.handleRequest(request, env, ctx);
+        }
+
+        const origin = request.headers.get('Origin');
+        const allowedOrigin = isAllowedOrigin(origin, env) ? origin : null;
+
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return withCors(new Response(null, {
+                status: allowedOrigin ? 204 : 403,
+                headers: { ...corsHeaders, 'Access-Control-Max-Age': '86400' }
+            }), allowedOrigin);
+        }
+
+        // CSRF: browsers always send Origin (or at least Referer) with a
+        // cross-site mutation, so one coming from an unknown page is refused.
+        // Requests with neither header come from non-browser clients.
+        const requestOrigin = getRequestOrigin(request);
+        if (MUTATING_METHODS.includes(request.method) && requestOrigin && !isAllowedOrigin(requestOrigin, env)) {
+            console.warn(`🚫 Blocked ${request.method} ${url.pathname} from origin ${requestOrigin}`);
+            return withCors(errorResponse('Origin not allowed', 403), allowedOrigin);
+        }
+
+        return withCors(await this.handleRequest(request, env, ctx), allowedOrigin);
+    },
+
+    async handleRequest(request, env, ctx) {
+        const url = new URL(request.url);
+        const path = url.pathname;
+        const method = request.method;
+
+        try {
+            // ===== AUTH ROUTES =====
+            if (path === '/api/auth/login' && method === 'POST') {
+                return await handleLogin(request, env);
+            }
+            if (path === '/api/auth/verify-2fa' && method === 'POST') {
+                return await verify2FALogin(request, env);
+            }
+            if (path === '/api/auth/logout' && method === 'POST') {
+                return await handleLogout(request, env);
+            }
+            if (path === '/api/auth/verify' && method === 'GET') {
+                return await verifySession(request, env);
+            }
+            if (path === '/api/auth/create-admin' && method === 'POST') {
+                return await createAdmin(request, env);
+            }
+
+            // Password change / reset
+            if (path === '/api/auth/change-password' && method === 'POST') {
+                return await changePassword(request, env);
+            }
+            if (path === '/api/auth/forgot-password' && method === 'POST') {
+                return await forgotPassword(request, env, ctx);
+            }
+
+            // Invitation / reset links (one-time token)
+            if (path === '/api/auth/setup-password' && method === 'GET') {
+                return await checkPasswordToken(url, env);
+            }
+            if (path === '/api/auth/setup-password' && method === 'POST') {
+                return await setupPassword(request, env);
+            }
+
+            // 2FA Setup routes (requires auth)
+            if (path === '/api/auth/2fa/setup' && method === 'POST') {
+                return await setup2FA(request, env);
+            }
+            if (path === '/api/auth/2fa/verify' && method === 'POST') {
+                return await verify2FASetup(request, env);
+            }
+            if (path === '/api/auth/2fa/disable' && method === 'POST') {
+                return await disable2FA(request, env);
+            }
+            if (path === '/api/auth/2fa/status' && method === 'GET') {
+                return await get2FAStatus(request, env);
+            }
+            if (path === '/api/auth/2fa/recovery-codes' && method === 'POST') {
+                return await regenerate2FARecoveryCodes(request, env);
+            }
+
+            // Active sessions (own account)
+            if (path === '/api/auth/sessions' && method === 'GET') {
+                return await getSessions(request, env);
+            }
+            if (path === '/api/auth/sessions' && method === 'DELETE') {
+                return await revokeOtherSessions(request, env);
+            }
+            if (path.startsWith('/api/auth/sessions/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await revokeSession(request, env, id);
+            }
+            if (path === '/api/auth/trusted-devices' && method === 'DELETE') {
+                return await forgetTrustedDevices(request, env);
+            }
+
+            // Passkeys (WebAuthn)
+            if (path === '/api/auth/passkeys/login/options' && method === 'POST') {
+                return await passkeyLoginOptions(env);
+            }
+            if (path === '/api/auth/passkeys/login/verify' && method === 'POST') {
+                return await passkeyLoginVerify(request, env);
+            }
+            if (path === '/api/auth/passkeys/register/options' && method === 'POST') {
+                return await passkeyRegisterOptions(request, env);
+            }
+            if (path === '/api/auth/passkeys/register/verify' && method === 'POST') {
+                return await passkeyRegisterVerify(request, env);
+            }
+            if (path === '/api/auth/passkeys' && method === 'GET') {
+                return await getPasskeys(request, env);
+            }
+            if (path.startsWith('/api/auth/passkeys/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deletePasskey(request, env, id);
+            }
+
+            // ===== PUBLIC ROUTES =====
+            if (path === '/api/config' && method === 'GET') {
+                return getPublicConfig(env);
+            }
+            if (path === '/api/content' && method === 'GET') {
+                return await getContent(request, env, true); // Enable caching
+            }
+            if (path === '/api/menu' && method === 'GET') {
+                return await getMenuItems(request, env, true); // Enable caching
+            }
+            if (path === '/api/gallery' && method === 'GET') {
+                return await getGallery(request, env);
+            }
+            if (path === '/api/testimonials' && method === 'GET') {
+                return await getTestimonials(env);
+            }
+            if (path === '/api/specialties' && method === 'GET') {
+                return await getSpecialties(request, env);
+            }
+            if (path === '/api/announcements' && method === 'GET') {
+                return await getAnnouncements(request, env);
+            }
+            if (path === '/api/settings' && method === 'GET') {
+                return await getSettings(env);
+            }
+            if (path === '/api/reservations' && method === 'POST') {
+                return await createReservation(request, env);
+            }
+
+            // Serve images from R2 with optional resizing
+            // Format: /assets/menu/image.jpg?w=300&h=300&q=85
+            if (path.startsWith('/assets/') && method === 'GET') {
+                const key = path.replace('/assets/', '');
+                const width = parseInt(url.searchParams.get('w')) || null;
+                const height = parseInt(url.searchParams.get('h')) || null;
+                const quality = parseInt(url.searchParams.get('q')) || 85;
+                return await serveImage(env, key, { width, height, quality }, request);
+            }
+
+            // Manual cache refresh endpoint (before auth - protected by secret key)
+            if (path === '/api/refresh-cache' && method === 'POST') {
+                const expected = requireEnv(env, 'CACHE_REFRESH_SECRET');
+                const { secret } = await request.json().catch(() => ({}));
+                if (!secret || !timingSafeEqual(secret, expected)) {
+                    return errorResponse('Invalid secret', 403);
+                }
+                return await refreshAllCache(env);
+            }
+
+            // ===== PROTECTED ADMIN ROUTES =====
+            const authResult = await checkAuth(request, env);
+            if (!authResult.valid) {
+                return errorResponse(authResult.error || 'Unauthorized', authResult.status || 401);
+            }
+
+            // Who is acting, for the audit log
+            const actor = { ...authResult.user, ip: getClientIP(request) };
+
+            // Content Management
+            if (path === '/api/admin/content' && method === 'GET') {
+                return await getAllContent(env);
+            }
+            if (path === '/api/admin/content' && method === 'PUT') {
+                return await updateContent(request, env, actor);
+            }
+            if (path === '/api/admin/content/drafts' && method === 'GET') {
+                return await getContentDrafts(env);
+            }
+            if (path === '/api/admin/content/drafts' && method === 'DELETE') {
+                return await discardContentDrafts(env, actor);
+            }
+            if (path === '/api/admin/content/preview' && method === 'POST') {
+                return await createPreviewLink(request, env);
+            }
+            if (path === '/api/admin/content/publish' && method === 'POST') {
+                return await publishContent(request, env, actor);
+            }
+            if (path === '/api/admin/content/unschedule' && method === 'POST') {
+                return await unscheduleContent(request, env, actor);
+            }
+            if (path === '/api/admin/content/batch' && method === 'POST') {
+                return await saveContentBatch(request, env, actor);
+            }
+            if (path === '/api/admin/content/schema' && method === 'GET') {
+                return getContentSchema();
+            }
+            if (path === '/api/admin/content/translations' && method === 'GET') {
+                return await getContentTranslations(url, env);
+            }
+            if (path === '/api/admin/content/translations' && method === 'PUT') {
+                return await updateContentTranslation(request, env, actor);
+            }
+            if (path === '/api/admin/content/revisions' && method === 'GET') {
+                return await getContentRevisions(url, env);
+            }
+            if (path.startsWith('/api/admin/content/revisions/') && path.endsWith('/restore') && method === 'POST') {
+                const id = path.split('/')[5];
+                return await restoreContentRevision(env, id, actor);
+            }
+            if (path.startsWith('/api/admin/content/revisions/') && method === 'GET') {
+                const id = path.split('/').pop();
+                return await getContentRevision(env, id);
+            }
+
+            // Menu Management
+            if (path === '/api/admin/menu' && method === 'GET') {
+                await ensureMenuItemColumns(env);
+                return await getMenuItems(request, env, false, true);
+            }
+            if (path === '/api/admin/menu' && method === 'POST') {
+                return await createMenuItem(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/menu/') && path.endsWith('/thumbnail') && method === 'PUT') {
+                const id = path.split('/')[4];
+                return await updateMenuItemThumbnail(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/menu/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateMenuItem(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/menu/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteMenuItem(env, id, actor);
+            }
+
+            // Reservations Management
+            if (path === '/api/admin/reservations' && method === 'GET') {
+                return await getAllReservations(request, env);
+            }
+            if (path.startsWith('/api/admin/reservations/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateReservation(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/reservations/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteReservation(env, id, actor);
+            }
+
+            // Gallery Management
+            if (path === '/api/admin/gallery' && method === 'GET') {
+                return await getAllGallery(env);
+            }
+            if (path === '/api/admin/gallery' && method === 'POST') {
+                return await createGalleryItem(request, env, actor);
+            }
+            if (path === '/api/admin/gallery/order' && method === 'PUT') {
+                return await reorderGallery(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/gallery/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateGalleryItem(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/gallery/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteGalleryItem(env, id, actor);
+            }
+
+            // Testimonials Management
+            if (path === '/api/admin/testimonials' && method === 'GET') {
+                return await getAllTestimonials(env);
+            }
+            if (path === '/api/admin/testimonials' && method === 'POST') {
+                return await createTestimonial(request, env, actor);
+            }
+            if (path === '/api/admin/testimonials/order' && method === 'PUT') {
+                return await reorderTestimonials(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/testimonials/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateTestimonial(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/testimonials/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteTestimonial(env, id, actor);
+            }
+
+            // Specialties Management
+            if (path === '/api/admin/specialties' && method === 'GET') {
+                return await getAllSpecialties(env);
+            }
+            if (path === '/api/admin/specialties' && method === 'POST') {
+                return await createSpecialty(request, env, actor);
+            }
+            if (path === '/api/admin/specialties/order' && method === 'PUT') {
+                return await reorderSpecialties(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/specialties/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateSpecialty(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/specialties/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteSpecialty(env, id, actor);
+            }
+
+            // Announcements Management
+            if (path === '/api/admin/announcements' && method === 'GET') {
+                return await getAllAnnouncements(env);
+            }
+            if (path === '/api/admin/announcements' && method === 'POST') {
+                return await createAnnouncement(request, env, actor);
+            }
+            if (path === '/api/admin/announcements/order' && method === 'PUT') {
+                return await reorderAnnouncements(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/announcements/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateAnnouncement(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/announcements/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteAnnouncement(env, id, actor);
+            }
+
+            // Settings Management
+            if (path === '/api/admin/settings' && method === 'PUT') {
+                return await updateSettings(request, env, actor);
+            }
+
+            // Security: login lockouts
+            if (path === '/api/admin/lockouts' && method === 'GET') {
+                return await getLockouts(env);
+            }
+            if (path.startsWith('/api/admin/lockouts/') && method === 'DELETE') {
+                const [scope, identifier] = path.replace('/api/admin/lockouts/', '').split('/');
+                return await clearLockout(env, scope, decodeURIComponent(identifier || ''), actor);
+            }
+
+            // User Management
+            if (path === '/api/admin/users' && method === 'GET') {
+                return await getUsers(env);
+            }
+            if (path === '/api/admin/users' && method === 'POST') {
+                return await inviteUser(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/users/') && path.endsWith('/reset-password') && method === 'POST') {
+                const id = path.split('/')[4];
+                return await forcePasswordReset(env, id, actor);
+            }
+            if (path.startsWith('/api/admin/users/') && method === 'PUT') {
+                const id = path.split('/').pop();
+                return await updateUser(request, env, id, actor);
+            }
+            if (path.startsWith('/api/admin/users/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await deleteUser(env, id, actor);
+            }
+
+            // API Keys
+            if (path === '/api/admin/api-keys' && method === 'GET') {
+                return await getApiKeys(env);
+            }
+            if (path === '/api/admin/api-keys' && method === 'POST') {
+                return await createApiKey(request, env, actor);
+            }
+            if (path.startsWith('/api/admin/api-keys/') && method === 'DELETE') {
+                const id = path.split('/').pop();
+                return await revokeApiKey(env, id, actor);
+            }
+
+            // Audit Log
+            if (path === '/api/admin/audit' && method === 'GET') {
+                return await getAuditLog(url, env);
+            }
+
+            // Stats
+            if (path === '/api/admin/stats' && method === 'GET') {
+                return await getStats(env);
+            }
+
+            // Image Upload to R2
+            if (path === '/api/admin/upload' && method === 'POST') {
+                return await uploadImage(request, env, actor);
+            }
+
+            // Content Image Upload to R2 (pre-resized for specific content types)
+            if (path === '/api/admin/upload-content' && method === 'POST') {
+                return await uploadContentImage(request, env, actor);
+            }
+
+            // Get image size configuration
+            if (path === '/api/admin/image-sizes' && method === 'GET') {
+                return jsonResponse({ success: true, sizes: IMAGE_SIZES });
+            }
+
+            // Delete image from R2
+            if (path.startsWith('/api/admin/upload/') && method === 'DELETE') {
+                const key = path.replace('/api/admin/upload/', '');
+                return await deleteImage(env, key, actor);
+            }
+
+            // Migration: Generate thumbnails for existing images
+            if (path === '/api/admin/migrate-thumbnails' && method === 'POST') {
+                return await migrateThumbnails(env, actor);
+            }
+
+            // Manual cache refresh from the admin (the public route needs CACHE_REFRESH_SECRET)
+            if (path === '/api/admin/refresh-cache' && method === 'POST') {
+                return await refreshAllCache(env);
+            }
+
+            return errorResponse('Not found', 404);
 
         } catch (error) {
             console.error('API Error:', error);
@@ -343,679 +1967,3628 @@ export default {
         }
     },
 
-    // ===== SCHEDULED (CRON) HANDLER =====
-    // Runs at 3:00 AM daily (configured in wrangler.json)
-    async scheduled(event, env, ctx) {
-        console.log('🕐 Cron job started at:', new Date().toISOString());
+    // ===== SCHEDULED (CRON) HANDLER =====
+    // Two triggers (wrangler.json): every 15 minutes for scheduled changes, 3:00 AM for
+    // maintenance. Both fire at 3:00 and run concurrently, so each trigger does only its
+    // own job - two runs of applyScheduledChanges would publish the same drafts twice.
+    async scheduled(event, env, ctx) {
+        console.log('🕐 Cron job started at:', new Date().toISOString(), event.cron);
+
+        if (event.cron !== DAILY_CRON) {
+            try {
+                const applied = await applyScheduledChanges(env);
+                console.log(`📅 Schedules applied: ${applied.published} published, ${applied.reverted} reverted, ` +
+                    `${applied.menuShown} menu item(s) shown, ${applied.menuHidden} hidden`);
+            } catch (error) {
+                console.error('❌ Scheduled changes failed:', error);
+            }
+            return;
+        }
+
+        try {
+            const purged = await purgeExpiredSessions(env);
+            console.log(`🧹 Purged ${purged} expired sessions`);
+        } catch (error) {
+            console.error('❌ Session purge failed:', error);
+        }
+
+        try {
+            const purged = await purgeOldAuditEntries(env);
+            console.log(`🧹 Purged ${purged} audit entries older than ${AUDIT_RETENTION_DAYS} days`);
+        } catch (error) {
+            console.error('❌ Audit log purge failed:', error);
+        }
+
+        try {
+            // Deliver any mail left in the outbox
+            const mail = await drainOutbox(env);
+            console.log(`📧 Outbox drained: ${mail.sent} sent, ${mail.failed} failed`);
+        } catch (error) {
+            console.error('❌ Outbox drain failed:', error);
+        }
+
+        try {
+            // Refresh all KV cache
+            const result = await refreshCacheInternal(env);
+            console.log('✅ KV Cache refreshed successfully');
+
+            // Warm CDN cache for images
+            await warmImageCache(env, result.menu, result.content, result.gallery);
+            console.log('✅ Image CDN cache warmed');
+        } catch (error) {
+            console.error('❌ Cache refresh failed:', error);
+        }
+    }
+};
+
+// ===== CACHE FUNCTIONS =====
+
+// Warm CDN cache by fetching all images
+async function warmImageCache(env, menuItems, content, gallery = []) {
+    const imageUrls = new Set();
+    const baseUrl = getPublicApiUrl(env);
+
+    // Collect menu item images
+    menuItems.forEach(item => {
+        if (item.image && item.image.includes('/assets/')) {
+            imageUrls.add(item.image);
+        }
+    });
+
+    // Collect gallery photos
+    gallery.forEach(photo => {
+        [photo.image_url, photo.thumbnail_url].forEach(url => {
+            if (url && url.includes('/assets/')) imageUrls.add(url);
+        });
+    });
+
+    // Collect content images (about, signature, etc.)
+    Object.values(content).forEach(section => {
+        if (typeof section === 'object') {
+            Object.values(section).forEach(value => {
+                if (typeof value === 'string' && value.includes('/assets/')) {
+                    imageUrls.add(value);
+                }
+            });
+        }
+    });
+
+    console.log(`🖼️ Warming cache for ${imageUrls.size} images...`);
+
+    // Fetch all images in parallel (max 10 concurrent)
+    const urlArray = Array.from(imageUrls);
+    const batchSize = 10;
+
+    for (let i = 0; i < urlArray.length; i += batchSize) {
+        const batch = urlArray.slice(i, i + batchSize);
+        await Promise.allSettled(
+            batch.map(url => {
+                const fullUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
+                return fetch(fullUrl, {
+                    method: 'GET',
+                    cf: { cacheTtl: 86400, cacheEverything: true }
+                });
+            })
+        );
+    }
+
+    return imageUrls.size;
+}
+
+async function refreshCacheInternal(env) {
+    // 1. Cache all content (one entry per language)
+    const [contentResult, translations] = await Promise.all([
+        env.hikari_db.prepare('SELECT * FROM site_content').all(),
+        loadContentTranslations(env)
+    ]);
+    const content = rowsToContent(contentResult.results);
+    await Promise.all(SUPPORTED_LANGS.map(lang => env.hikari_cache.put(
+        langCacheKey(CACHE_KEYS.CONTENT, lang),
+        JSON.stringify(lang === DEFAULT_LANG ? content : rowsToContent(translateContentRows(contentResult.results, translations, lang))),
+        { expirationTtl: 86400 } // 24h
+    )));
+
+    // 2. Cache menu items (one entry per language)
+    const menuResult = await env.hikari_db.prepare(
+        'SELECT * FROM menu_items WHERE is_active = 1 ORDER BY category, display_order'
+    ).all();
+    await Promise.all(SUPPORTED_LANGS.map(lang => env.hikari_cache.put(
+        langCacheKey(CACHE_KEYS.MENU, lang),
+        JSON.stringify(menuResult.results.map(item => localizeMenuItem(item, lang))),
+        { expirationTtl: 86400 }
+    )));
+
+    // 3. Cache visible testimonials
+    const testimonials = await loadVisibleTestimonials(env);
+    await env.hikari_cache.put(CACHE_KEYS.TESTIMONIALS, JSON.stringify(testimonials), { expirationTtl: 86400 });
+
+    // 4. Cache specialties (one entry per language; columns checked once, not in parallel)
+    await ensureMenuItemColumns(env);
+    await Promise.all(SUPPORTED_LANGS.map(async lang => env.hikari_cache.put(
+        langCacheKey(CACHE_KEYS.SPECIALTIES, lang),
+        JSON.stringify(await loadVisibleSpecialties(env, lang)),
+        { expirationTtl: 86400 }
+    )));
+
+    // 5. Cache visible gallery photos
+    const gallery = await loadVisibleGallery(env);
+    await env.hikari_cache.put(CACHE_KEYS.GALLERY, JSON.stringify(gallery), { expirationTtl: 86400 });
+
+    // 6. Cache announcements that have not ended (dates are checked per request)
+    const announcements = await loadPendingAnnouncements(env);
+    await env.hikari_cache.put(CACHE_KEYS.ANNOUNCEMENTS, JSON.stringify(announcements), { expirationTtl: 86400 });
+
+    // 7. Cache settings
+    const settingsResult = await env.hikari_db.prepare('SELECT * FROM settings').all();
+    const settings = {};
+    settingsResult.results.forEach(row => {
+        settings[row.key] = row.type === 'json' ? JSON.parse(row.value) : row.value;
+    });
+    await env.hikari_cache.put(CACHE_KEYS.SETTINGS, JSON.stringify(settings), { expirationTtl: 86400 });
+
+    // 8. Save last update timestamp
+    await env.hikari_cache.put(CACHE_KEYS.LAST_UPDATE, new Date().toISOString());
+
+    return { content, menu: menuResult.results, gallery, settings };
+}
+
+async function refreshAllCache(env) {
+    try {
+        const result = await refreshCacheInternal(env);
+
+        // Also warm image CDN cache
+        const imageCount = await warmImageCache(env, result.menu, result.content, result.gallery);
+
+        return jsonResponse({
+            success: true,
+            message: 'Cache refreshed',
+            lastUpdate: await env.hikari_cache.get(CACHE_KEYS.LAST_UPDATE),
+            stats: {
+                contentSections: Object.keys(result.content).length,
+                menuItems: result.menu.length,
+                galleryPhotos: result.gallery.length,
+                settingsKeys: Object.keys(result.settings).length,
+                imagesWarmed: imageCount
+            }
+        });
+    } catch (error) {
+        return errorResponse('Cache refresh failed: ' + error.message, 500);
+    }
+}
+
+// ===== AUTH HANDLERS =====
+
+async function handleLogin(request, env) {
+    const { email, password, trustedDevice } = await request.json();
+
+    if (!email || !password) {
+        return errorResponse('Email and password required');
+    }
+
+    // Brute-force protection (per IP and per account)
+    const ip = getClientIP(request);
+    const account = email.trim().toLowerCase();
+    const throttle = await checkThrottle(env, ip, account);
+    if (throttle.locked) {
+        return tooManyAttemptsResponse(throttle.retryAfter);
+    }
+
+    await ensureAdminUserColumns(env);
+
+    // Same normalisation as the throttle key; NOCASE also matches older mixed-case rows
+    const user = await env.hikari_db.prepare(
+        'SELECT * FROM admin_users WHERE email = ? COLLATE NOCASE'
+    ).bind(account).first();
+
+    const { valid, needsRehash } = await verifyPassword(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!user || !user.password_hash || !valid) {
+        const lockSeconds = await registerFailedAttempt(env, ip, account, { type: 'login' });
+        if (lockSeconds > 0) {
+            return tooManyAttemptsResponse(lockSeconds);
+        }
+        return errorResponse('Invalid credentials', 401);
+    }
+
+    if (!user.is_active) {
+        return errorResponse('Account disabled', 403);
+    }
+
+    // Transparently upgrade legacy hashes on successful login
+    if (needsRehash) {
+        await rehashPassword(env, user.id, password);
+    }
+
+    // Check if 2FA is enabled
+    if (user.totp_secret && user.totp_enabled) {
+        // A trusted device token stands in for the second factor
+        if (await isTrustedDevice(env, user, trustedDevice)) {
+            await clearThrottle(env, 'account', account);
+            const token = await createSession(env, user.id, request);
+            console.log(`📱 ${user.email} signed in from a trusted device`);
+
+            return jsonResponse({
+                success: true,
+                token,
+                user: toPublicUser(user),
+                trustedDevice: true
+            });
+        }
+
+        // Return a temporary token for 2FA verification
+        const tempToken = 'pending-2fa-' + generateToken();
+        const expiresAt = new Date(Date.now() + 5 * 60 * 1000).toISOString(); // 5 minutes
+
+        await env.hikari_db.prepare(
+            'INSERT INTO sessions (user_id, token, expires_at) VALUES (?, ?, ?)'
+        ).bind(user.id, tempToken, expiresAt).run();
+
+        return jsonResponse({
+            success: true,
+            requires2FA: true,
+            tempToken,
+            message: 'Please enter your 2FA code'
+        });
+    }
+
+    // No 2FA - create full session
+    // (with 2FA the account counter is only reset once the code is verified)
+    await clearThrottle(env, 'account', account);
+
+    const token = await createSession(env, user.id, request);
+
+    return jsonResponse({
+        success: true,
+        token,
+        user: toPublicUser(user)
+    });
+}
+
+// Verify 2FA code during login
+async function verify2FALogin(request, env) {
+    const { tempToken, code, trustDevice } = await request.json();
+
+    if (!tempToken || !code) {
+        return errorResponse('Token and code required');
+    }
+
+    // Verify temp token is valid pending-2fa token
+    if (!tempToken.startsWith('pending-2fa-')) {
+        return errorResponse('Invalid token', 401);
+    }
+
+    await ensureAdminUserColumns(env);
+
+    const session = await env.hikari_db.prepare(`
+        SELECT s.*, u.id as user_id, u.email, u.name, u.role, u.totp_secret, u.trusted_device_version
+        FROM sessions s 
+        JOIN admin_users u ON s.user_id = u.id 
+        WHERE s.token = ? AND datetime(s.expires_at) > datetime('now')
+    `).bind(tempToken).first();
+
+    if (!session) {
+        return errorResponse('Session expired, please login again', 401);
+    }
+
+    // Brute-force protection - shares the account counter with password login
+    const ip = getClientIP(request);
+    const account = session.email.trim().toLowerCase();
+    const throttle = await checkThrottle(env, ip, account);
+    if (throttle.locked) {
+        return tooManyAttemptsResponse(throttle.retryAfter);
+    }
+
+    // Verify TOTP code (or a one-time recovery code)
+    const method = await verifySecondFactor(env, session.user_id, session.totp_secret, code);
+    if (!method) {
+        const lockSeconds = await registerFailedAttempt(env, ip, account, { type: '2fa' });
+        if (lockSeconds > 0) {
+            // Force a fresh password login once the account is locked
+            await env.hikari_db.prepare('DELETE FROM sessions WHERE token = ?').bind(tempToken).run();
+            return tooManyAttemptsResponse(lockSeconds);
+        }
+        return errorResponse('Invalid 2FA code', 401);
+    }
+
+    await clearThrottle(env, 'account', account);
+
+    // Delete temp session
+    await env.hikari_db.prepare('DELETE FROM sessions WHERE token = ?').bind(tempToken).run();
+
+    // Create full session
+    const token = await createSession(env, session.user_id, request);
+
+    const response = { success: true, token, user: toPublicUser(session) };
+    if (method === 'recovery') {
+        response.usedRecoveryCode = true;
+        response.remainingRecoveryCodes = await countRecoveryCodes(env, session.user_id);
+        console.log(`🛟 ${session.email} signed in with a recovery code (${response.remainingRecoveryCodes} left)`);
+    }
+
+    // "Trust this device": the login still succeeds if the token can't be issued
+    if (trustDevice) {
+        try {
+            const device = await issueTrustedDeviceToken(env, {
+                id: session.user_id,
+                totp_secret: session.totp_secret,
+                trusted_device_version: session.trusted_device_version
+            });
+            response.trustedDeviceToken = device.token;
+            response.trustedDeviceExpiresAt = device.expiresAt;
+        } catch (e) {
+            console.error('Trusted device error:', e);
+        }
+    }
+
+    return jsonResponse(response);
+}
+
+// Create a full session (device + IP recorded) and record the login
+async function createSession(env, userId, request) {
+    await ensureSessionColumns(env);
+
+    const token = generateToken();
+    const now = Date.now();
+    const userAgent = (request.headers.get('User-Agent') || '').slice(0, 255);
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare(`
+            INSERT INTO sessions (user_id, token, expires_at, user_agent, ip_address, last_seen_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(userId, token, toSqlDate(now + SESSION_IDLE_TTL), userAgent, getClientIP(request), toSqlDate(now)),
+        env.hikari_db.prepare(
+            'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?'
+        ).bind(userId)
+    ]);
+
+    return token;
+}
+
+async function handleLogout(request, env) {
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+        await env.hikari_db.prepare('DELETE FROM sessions WHERE token = ?').bind(token).run();
+    }
+
+    return jsonResponse({ success: true });
+}
+
+async function verifySession(request, env) {
+    const result = await checkAuth(request, env);
+    return jsonResponse({ valid: result.valid, user: result.user || null });
+}
+
+// Validate the session token (or API key) and, for /api/admin/* routes, the role permission
+async function checkAuth(request, env) {
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+
+    // pending-2fa tokens only grant access to /api/auth/verify-2fa
+    if (!token || token.startsWith('pending-2fa-')) {
+        return { valid: false };
+    }
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+        return await checkApiKey(request, env, token);
+    }
+
+    await ensureAdminUserColumns(env);
+    await ensureSessionColumns(env);
+
+    const session = await env.hikari_db.prepare(`
+        SELECT s.*, u.email, u.name, u.role 
+        FROM sessions s 
+        JOIN admin_users u ON s.user_id = u.id 
+        WHERE s.token = ? AND datetime(s.expires_at) > datetime('now') AND u.is_active = 1
+    `).bind(token).first();
+
+    if (!session) {
+        return { valid: false };
+    }
+
+    // Sliding expiry (throttled so busy pages don't write on every request)
+    const now = Date.now();
+    const lastSeen = session.last_seen_at ? parseSqlDate(session.last_seen_at) : 0;
+    if (now - lastSeen > SESSION_TOUCH_INTERVAL) {
+        const expiresAt = Math.min(now + SESSION_IDLE_TTL, parseSqlDate(session.created_at) + SESSION_MAX_LIFETIME);
+        await env.hikari_db.prepare(
+            'UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?'
+        ).bind(toSqlDate(now), toSqlDate(expiresAt), session.id).run();
+    }
+
+    const user = toPublicUser(session);
+    const role = user.role;
+
+    const url = new URL(request.url);
+    if (url.pathname.startsWith('/api/admin/')) {
+        const permission = getRoutePermission(request.method, url.pathname);
+        const allowed = permission ? hasPermission(role, permission) : role === 'owner';
+        if (!allowed) {
+            console.log(`⛔ ${user.email} (${role}) denied ${request.method} ${url.pathname}`);
+            return { valid: false, status: 403, error: 'Forbidden: insufficient permissions', user };
+        }
+    }
+
+    return { valid: true, user, sessionId: session.id };
+}
+
+// ===== SESSION HANDLERS =====
+
+// List the signed-in user's active sessions (tokens are never returned)
+async function getSessions(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { results } = await env.hikari_db.prepare(`
+        SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+        FROM sessions
+        WHERE user_id = ? AND token NOT LIKE 'pending-2fa-%' AND datetime(expires_at) > datetime('now')
+        ORDER BY COALESCE(last_seen_at, created_at) DESC
+    `).bind(auth.user.id).all();
+
+    const items = results.map(session => ({ ...session, current: session.id === auth.sessionId }));
+    return jsonResponse({ success: true, items });
+}
+
+async function revokeSession(request, env, id) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const result = await env.hikari_db.prepare(
+        'DELETE FROM sessions WHERE id = ? AND user_id = ?'
+    ).bind(id, auth.user.id).run();
+
+    if (!result.meta.changes) {
+        return errorResponse('Session not found', 404);
+    }
+    return jsonResponse({ success: true, current: Number(id) === auth.sessionId });
+}
+
+// Sign out everywhere except the current session
+async function revokeOtherSessions(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const result = await env.hikari_db.prepare(
+        'DELETE FROM sessions WHERE user_id = ? AND id != ?'
+    ).bind(auth.user.id, auth.sessionId).run();
+
+    return jsonResponse({ success: true, revoked: result.meta.changes || 0 });
+}
+
+// Invalidate every "trusted device" token of the current user
+async function forgetTrustedDevices(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    await ensureAdminUserColumns(env);
+    await env.hikari_db.prepare(
+        'UPDATE admin_users SET trusted_device_version = COALESCE(trusted_device_version, 0) + 1 WHERE id = ?'
+    ).bind(auth.user.id).run();
+
+    return jsonResponse({ success: true });
+}
+
+// Bootstrap only: creates the first (owner) account. Further users are invited
+// from the admin "Utilisateurs" page.
+async function createAdmin(request, env) {
+    const { email, password, name } = await request.json();
+
+    if (!email || !password) {
+        return errorResponse('Email and password required');
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return errorResponse(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+
+    await ensureAdminUserColumns(env);
+
+    const existing = await env.hikari_db.prepare('SELECT COUNT(*) as count FROM admin_users').first();
+    if (existing.count > 0) {
+        return errorResponse('Admin already exists - ask an owner for an invitation', 403);
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    try {
+        await env.hikari_db.prepare(
+            "INSERT INTO admin_users (email, password_hash, name, role) VALUES (?, ?, ?, 'owner')"
+        ).bind(email, passwordHash, name || 'Admin').run();
+
+        return jsonResponse({ success: true, message: 'Admin created' });
+    } catch (e) {
+        return errorResponse('Email already exists', 400);
+    }
+}
+
+// ===== PASSWORD HANDLERS =====
+
+// Change own password (requires the current one) - other sessions are signed out
+async function changePassword(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { currentPassword, newPassword } = await request.json();
+    if (!currentPassword || !newPassword) {
+        return errorResponse('Current and new password required');
+    }
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+        return errorResponse(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+
+    // Wrong current password counts as a failed login attempt
+    const ip = getClientIP(request);
+    const account = auth.user.email.trim().toLowerCase();
+    const throttle = await checkThrottle(env, ip, account);
+    if (throttle.locked) {
+        return tooManyAttemptsResponse(throttle.retryAfter);
+    }
+
+    const user = await env.hikari_db.prepare(
+        'SELECT password_hash FROM admin_users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    const { valid } = await verifyPassword(currentPassword, user?.password_hash);
+    if (!valid) {
+        const lockSeconds = await registerFailedAttempt(env, ip, account, { type: 'change-password' });
+        if (lockSeconds > 0) {
+            return tooManyAttemptsResponse(lockSeconds);
+        }
+        return errorResponse('Invalid current password', 401);
+    }
+
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare('UPDATE admin_users SET password_hash = ? WHERE id = ?')
+            .bind(await hashPassword(newPassword), auth.user.id),
+        env.hikari_db.prepare('DELETE FROM sessions WHERE user_id = ? AND token != ?')
+            .bind(auth.user.id, token),
+        env.hikari_db.prepare('UPDATE password_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL')
+            .bind(auth.user.id)
+    ]);
+
+    await logAudit(env, { ...auth.user, ip }, 'change_password', 'user', auth.user.id);
+
+    return jsonResponse({ success: true });
+}
+
+// Public: email a one-time reset link. Always answers the same way so it
+// can't be used to find out which emails have an account.
+async function forgotPassword(request, env, ctx) {
+    const { email } = await request.json().catch(() => ({}));
+    if (!email) {
+        return errorResponse('Email required');
+    }
+
+    // Every request counts against the IP's reset bucket (not its login one) to stop mail flooding
+    const ip = getClientIP(request);
+    const retryAfter = await getLockRemaining(env, 'reset', ip);
+    if (retryAfter > 0) {
+        return tooManyAttemptsResponse(retryAfter);
+    }
+    await recordFailure(env, 'reset', ip, { type: 'forgot-password' });
+
+    await ensureAdminUserColumns(env);
+
+    const user = await env.hikari_db.prepare(
+        'SELECT id, email, name FROM admin_users WHERE email = ? COLLATE NOCASE AND is_active = 1'
+    ).bind(email.trim().toLowerCase()).first();
+
+    if (user) {
+        if (!env.SITE_URL) {
+            console.error('❌ SITE_URL is not configured - cannot build the reset link');
+        } else {
+            const { token } = await issuePasswordToken(env, user.id, 'forgot');
+            const link = `${env.SITE_URL.replace(/\/$/, '')}/admin/setup-password.html?token=${token}`;
+
+            await queueMail(env, user.email, 'HIKARI - Réinitialisation de votre mot de passe', [
+                `Bonjour ${user.name || ''},`,
+                '',
+                'Une réinitialisation du mot de passe de votre compte administrateur HIKARI a été demandée.',
+                'Pour choisir un nouveau mot de passe, ouvrez ce lien (valable 1 heure, utilisable une seule fois) :',
+                '',
+                link,
+                '',
+                "Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet email."
+            ].join('\n'));
+
+            ctx.waitUntil(drainOutbox(env));
+        }
+    }
+
+    return jsonResponse({
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+    });
+}
+
+// ===== 2FA SETUP HANDLERS =====
+
+// Get 2FA status for current user
+async function get2FAStatus(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const user = await env.hikari_db.prepare(
+        'SELECT totp_enabled FROM admin_users WHERE id = ?'
+    ).bind(auth.user.id).first();
+    const enabled = user?.totp_enabled === 1;
+
+    return jsonResponse({
+        success: true,
+        enabled,
+        recoveryCodesRemaining: enabled ? await countRecoveryCodes(env, auth.user.id) : 0
+    });
+}
+
+// Start 2FA setup - generate secret and QR data
+async function setup2FA(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    // Generate new secret
+    const secret = generate2FASecret();
+
+    // Store pending secret (not enabled yet)
+    await env.hikari_db.prepare(
+        'UPDATE admin_users SET totp_secret = ?, totp_enabled = 0 WHERE id = ?'
+    ).bind(secret, auth.user.id).run();
+
+    // Generate otpauth URL for QR code
+    const otpauthUrl = `otpauth://totp/HIKARI:${encodeURIComponent(auth.user.email)}?secret=${secret}&issuer=HIKARI&algorithm=SHA1&digits=6&period=30`;
+
+    return jsonResponse({
+        success: true,
+        secret,
+        otpauthUrl,
+        // Rendered here: the secret must not be sent to a third-party QR service
+        qrCode: generateQRCodeDataUrl(otpauthUrl)
+    });
+}
+
+// Verify 2FA setup with a code from authenticator app
+async function verify2FASetup(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { code } = await request.json();
+    if (!code) {
+        return errorResponse('Code required');
+    }
+
+    // Get user's pending secret
+    const user = await env.hikari_db.prepare(
+        'SELECT totp_secret FROM admin_users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    if (!user?.totp_secret) {
+        return errorResponse('Please start 2FA setup first');
+    }
+
+    // Verify code (its time step is then used up for login)
+    const isValid = await acceptTOTP(env, auth.user.id, user.totp_secret, code);
+    if (!isValid) {
+        return errorResponse('Invalid code. Please try again.');
+    }
+
+    // Enable 2FA
+    await env.hikari_db.prepare(
+        'UPDATE admin_users SET totp_enabled = 1 WHERE id = ?'
+    ).bind(auth.user.id).run();
+
+    // Recovery codes are only ever returned here and on regeneration
+    const recoveryCodes = await regenerateRecoveryCodes(env, auth.user.id);
+
+    return jsonResponse({
+        success: true,
+        message: '2FA enabled successfully',
+        recoveryCodes
+    });
+}
+
+// Replace the recovery codes (requires the password)
+async function regenerate2FARecoveryCodes(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { password } = await request.json();
+    if (!password) {
+        return errorResponse('Password required');
+    }
+
+    const user = await env.hikari_db.prepare(
+        'SELECT password_hash, totp_enabled FROM admin_users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    const { valid } = await verifyPassword(password, user?.password_hash);
+    if (!user || !valid) {
+        return errorResponse('Invalid password');
+    }
+    if (!user.totp_enabled) {
+        return errorResponse('2FA is not enabled');
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(env, auth.user.id);
+
+    return jsonResponse({ success: true, recoveryCodes });
+}
+
+// Disable 2FA
+async function disable2FA(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { code, password } = await request.json();
+
+    // Require password verification
+    if (!password) {
+        return errorResponse('Password required');
+    }
+
+    const user = await env.hikari_db.prepare(
+        'SELECT * FROM admin_users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    const { valid } = await verifyPassword(password, user?.password_hash);
+    if (!user || !valid) {
+        return errorResponse('Invalid password');
+    }
+
+    // If 2FA is enabled, also require current 2FA code
+    if (user.totp_enabled && user.totp_secret) {
+        if (!code) {
+            return errorResponse('2FA code required');
+        }
+        if (!await verifySecondFactor(env, user.id, user.totp_secret, code)) {
+            return errorResponse('Invalid 2FA code');
+        }
+    }
+
+    // Disable 2FA
+    await env.hikari_db.batch([
+        env.hikari_db.prepare(
+            'UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0 WHERE id = ?'
+        ).bind(auth.user.id),
+        env.hikari_db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(auth.user.id)
+    ]);
+
+    return jsonResponse({
+        success: true,
+        message: '2FA disabled'
+    });
+}
+
+// ===== PASSKEY HANDLERS =====
+
+// Registration step 1 (signed in): options for navigator.credentials.create()
+async function passkeyRegisterOptions(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const config = getWebAuthnConfig(env);
+    const challenge = await createWebAuthnChallenge(env, 'webauthn.create', auth.user.id);
+
+    const { results } = await env.hikari_db.prepare(
+        'SELECT credential_id, transports FROM passkeys WHERE user_id = ?'
+    ).bind(auth.user.id).all();
+
+    return jsonResponse({
+        success: true,
+        options: {
+            challenge,
+            rp: { id: config.rpId, name: config.rpName },
+            user: {
+                id: bytesToBase64Url(new TextEncoder().encode(String(auth.user.id))),
+                name: auth.user.email,
+                displayName: auth.user.name || auth.user.email
+            },
+            pubKeyCredParams: [
+                { type: 'public-key', alg: COSE_ALG.ES256 },
+                { type: 'public-key', alg: COSE_ALG.RS256 }
+            ],
+            excludeCredentials: results.map(row => ({
+                type: 'public-key',
+                id: row.credential_id,
+                transports: row.transports ? JSON.parse(row.transports) : undefined
+            })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+            attestation: 'none',
+            timeout: WEBAUTHN_CHALLENGE_TTL * 1000
+        }
+    });
+}
+
+// Registration step 2: verify the attestation and store the public key
+async function passkeyRegisterVerify(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { credential, name } = await request.json();
+    if (!credential?.response?.clientDataJSON || !credential.response.attestationObject) {
+        return errorResponse('Invalid credential');
+    }
+
+    const config = getWebAuthnConfig(env);
+
+    let passkey;
+    try {
+        const challenge = await verifyClientData(
+            env, config, base64UrlToBytes(credential.response.clientDataJSON), 'webauthn.create'
+        );
+        if (challenge.userId !== auth.user.id) {
+            throw new Error('Invalid challenge');
+        }
+
+        const attestation = decodeCBOR(base64UrlToBytes(credential.response.attestationObject)).value;
+        const authData = parseAuthenticatorData(attestation.get('authData'));
+        await verifyAuthenticatorFlags(config, authData);
+        if (!authData.credentialId) {
+            throw new Error('Missing credential data');
+        }
+
+        passkey = {
+            credentialId: bytesToBase64Url(authData.credentialId),
+            signCount: authData.signCount,
+            ...coseToJwk(authData.publicKey)
+        };
+    } catch (e) {
+        console.log(`⛔ Passkey registration rejected for ${auth.user.email}: ${e.message}`);
+        return errorResponse('Passkey registration failed: ' + e.message);
+    }
+
+    const transports = Array.isArray(credential.response.transports) ? JSON.stringify(credential.response.transports) : null;
+
+    try {
+        await env.hikari_db.prepare(`
+            INSERT INTO passkeys (user_id, credential_id, public_key, algorithm, sign_count, transports, name)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            auth.user.id, passkey.credentialId, JSON.stringify(passkey.jwk), passkey.alg,
+            passkey.signCount, transports, (name || '').trim() || 'Clé d\'accès'
+        ).run();
+    } catch (e) {
+        return errorResponse('Passkey already registered', 400);
+    }
+
+    console.log(`🔑 Passkey registered for ${auth.user.email}`);
+    return jsonResponse({ success: true });
+}
+
+// Login step 1 (public): discoverable credentials, so no email is needed
+async function passkeyLoginOptions(env) {
+    const config = getWebAuthnConfig(env);
+    const challenge = await createWebAuthnChallenge(env, 'webauthn.get');
+
+    return jsonResponse({
+        success: true,
+        options: {
+            challenge,
+            rpId: config.rpId,
+            allowCredentials: [],
+            userVerification: 'required',
+            timeout: WEBAUTHN_CHALLENGE_TTL * 1000
+        }
+    });
+}
+
+// Login step 2: verify the assertion signature and open a full session
+async function passkeyLoginVerify(request, env) {
+    const { credential } = await request.json();
+    if (!credential?.id || !credential.response?.clientDataJSON) {
+        return errorResponse('Invalid credential');
+    }
+
+    const ip = getClientIP(request);
+    const throttle = await checkThrottle(env, ip, null);
+    if (throttle.locked) {
+        return tooManyAttemptsResponse(throttle.retryAfter);
+    }
+
+    await ensureAdminUserColumns(env);
+    const config = getWebAuthnConfig(env);
+
+    const passkey = await env.hikari_db.prepare(`
+        SELECT p.*, u.email, u.name, u.role, u.is_active
+        FROM passkeys p
+        JOIN admin_users u ON p.user_id = u.id
+        WHERE p.credential_id = ?
+    `).bind(credential.id).first();
+
+    try {
+        if (!passkey || !passkey.is_active) {
+            throw new Error('Unknown passkey');
+        }
+
+        const clientDataJSON = base64UrlToBytes(credential.response.clientDataJSON);
+        await verifyClientData(env, config, clientDataJSON, 'webauthn.get');
+
+        const authenticatorData = base64UrlToBytes(credential.response.authenticatorData);
+        const authData = parseAuthenticatorData(authenticatorData);
+        await verifyAuthenticatorFlags(config, authData);
+
+        // Signed data = authenticatorData | SHA-256(clientDataJSON)
+        const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON));
+        const signedData = new Uint8Array(authenticatorData.length + clientDataHash.length);
+        signedData.set(authenticatorData, 0);
+        signedData.set(clientDataHash, authenticatorData.length);
+
+        const valid = await verifyPasskeySignature(
+            passkey.algorithm, JSON.parse(passkey.public_key),
+            base64UrlToBytes(credential.response.signature), signedData
+        );
+        if (!valid) {
+            throw new Error('Invalid signature');
+        }
+
+        // A counter that goes backwards means the authenticator may have been cloned
+        if (authData.signCount > 0 && authData.signCount <= passkey.sign_count) {
+            throw new Error('Invalid signature counter');
+        }
+
+        await env.hikari_db.prepare(
+            'UPDATE passkeys SET sign_count = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+        ).bind(authData.signCount, passkey.id).run();
+    } catch (e) {
+        console.log(`⛔ Passkey login rejected: ${e.message}`);
+        const lockSeconds = await registerFailedAttempt(env, ip, passkey?.email?.toLowerCase() || null, { type: 'passkey' });
+        if (lockSeconds > 0) {
+            return tooManyAttemptsResponse(lockSeconds);
+        }
+        return errorResponse('Passkey login failed', 401);
+    }
+
+    await clearThrottle(env, 'account', passkey.email.trim().toLowerCase());
+    const token = await createSession(env, passkey.user_id, request);
+
+    return jsonResponse({
+        success: true,
+        token,
+        user: toPublicUser(passkey)
+    });
+}
+
+// List the signed-in user's passkeys
+async function getPasskeys(request, env) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const { results } = await env.hikari_db.prepare(
+        'SELECT id, name, created_at, last_used_at FROM passkeys WHERE user_id = ? ORDER BY created_at ASC'
+    ).bind(auth.user.id).all();
+
+    return jsonResponse({ success: true, items: results });
+}
+
+async function deletePasskey(request, env, id) {
+    const auth = await checkAuth(request, env);
+    if (!auth.valid) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const result = await env.hikari_db.prepare(
+        'DELETE FROM passkeys WHERE id = ? AND user_id = ?'
+    ).bind(id, auth.user.id).run();
+
+    if (!result.meta.changes) {
+        return errorResponse('Passkey not found', 404);
+    }
+    return jsonResponse({ success: true });
+}
+
+// ===== SECURITY HANDLERS =====
+
+// List active login lockouts (IP and account)
+async function getLockouts(env) {
+    const list = await env.hikari_cache.list({ prefix: THROTTLE_PREFIX.LOCKOUT });
+    const now = Date.now();
+
+    const items = list.keys
+        .map(key => key.metadata)
+        .filter(lockout => lockout && new Date(lockout.lockedUntil).getTime() > now)
+        .sort((a, b) => b.lockedAt.localeCompare(a.lockedAt));
+
+    return jsonResponse({ success: true, items });
+}
+
+// Clear a lockout and its attempt counter
+async function clearLockout(env, scope, identifier, actor) {
+    if (!THROTTLE_LIMITS[scope] || !identifier) {
+        return errorResponse('Invalid lockout');
+    }
+
+    await clearThrottle(env, scope, identifier);
+    console.log(`🔓 Lockout cleared: ${scope} ${identifier}`);
+    await logAudit(env, actor, 'delete', 'lockout', `${scope}:${identifier}`);
+
+    return jsonResponse({ success: true });
+}
+
+// ===== API KEY HANDLERS =====
+
+async function getApiKeys(env) {
+    const { results } = await env.hikari_db.prepare(`
+        SELECT k.id, k.name, k.key_prefix, k.scopes, k.expires_at, k.last_used_at, k.last_used_ip,
+            k.revoked_at, k.created_at, u.email as created_by_email
+        FROM api_keys k
+        LEFT JOIN admin_users u ON k.created_by = u.id
+        ORDER BY k.created_at DESC, k.id DESC
+    `).all();
+
+    const keys = results.map(key => ({ ...key, scopes: JSON.parse(key.scopes || '[]') }));
+    return jsonResponse({ success: true, keys, scopes: API_KEY_SCOPES, maxDays: API_KEY_MAX_DAYS });
+}
+
+// The plain key is returned once, here - only its hash is stored
+async function createApiKey(request, env, actor) {
+    const { name, scopes, expiresInDays } = await request.json();
+
+    if (!name || !name.trim()) {
+        return errorResponse('Name required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return errorResponse('At least one scope required');
+    }
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+        return errorResponse(`Invalid scopes: ${invalid.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > API_KEY_MAX_DAYS) {
+            return errorResponse(`Expiry must be between 1 and ${API_KEY_MAX_DAYS} days`);
+        }
+        expiresAt = toSqlDate(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const key = generateApiKey();
+    const grantedScopes = [...new Set(scopes)];
+    const result = await env.hikari_db.prepare(`
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+        name.trim(), key.slice(0, API_KEY_PREFIX.length + 8), await sha256Hex(key),
+        JSON.stringify(grantedScopes), expiresAt, actor.id
+    ).run();
+
+    const id = result.meta.last_row_id;
+    console.log(`🔑 ${actor.email} created API key "${name.trim()}" (${grantedScopes.join(', ')})`);
+    await logAudit(env, actor, 'create', 'api_key', id, null, { name: name.trim(), scopes: grantedScopes, expires_at: expiresAt });
+
+    return jsonResponse({ success: true, id, key, expiresAt });
+}
+
+async function revokeApiKey(env, id, actor) {
+    const key = await env.hikari_db.prepare(
+        'SELECT id, name, scopes, revoked_at FROM api_keys WHERE id = ?'
+    ).bind(id).first();
+    if (!key) {
+        return errorResponse('API key not found', 404);
+    }
+
+    if (!key.revoked_at) {
+        await env.hikari_db.prepare(
+            'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?'
+        ).bind(key.id).run();
+        await logAudit(env, actor, 'revoke', 'api_key', key.id, { name: key.name, scopes: JSON.parse(key.scopes) });
+    }
+
+    return jsonResponse({ success: true });
+}
+
+// ===== USER MANAGEMENT HANDLERS =====
+
+async function getUsers(env) {
+    await ensureAdminUserColumns(env);
+
+    const { results } = await env.hikari_db.prepare(`
+        SELECT id, email, name, role, is_active, totp_enabled, created_at, last_login,
+            CASE WHEN password_hash = '' THEN 1 ELSE 0 END as pending
+        FROM admin_users
+        ORDER BY created_at ASC
+    `).all();
+
+    return jsonResponse({ success: true, users: results, roles: ROLES });
+}
+
+// Create an account without a password and return a one-time setup link token
+async function inviteUser(request, env, currentUser) {
+    const { email: rawEmail, name, role } = await request.json();
+
+    if (!rawEmail || typeof rawEmail !== 'string') {
+        return errorResponse('Email required');
+    }
+    // Stored lowercased: the UNIQUE constraint is case-sensitive but logins aren't
+    const email = rawEmail.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+        return errorResponse('Invalid email address');
+    }
+    if (!ROLES.includes(role)) {
+        return errorResponse('Invalid role');
+    }
+
+    await ensureAdminUserColumns(env);
+
+    // Accounts created before emails were lowercased may still be stored mixed-case
+    const existing = await env.hikari_db.prepare(
+        'SELECT id FROM admin_users WHERE email = ? COLLATE NOCASE'
+    ).bind(email).first();
+    if (existing) {
+        return errorResponse('Email already exists', 400);
+    }
+
+    let userId;
+    try {
+        const result = await env.hikari_db.prepare(
+            "INSERT INTO admin_users (email, password_hash, name, role) VALUES (?, '', ?, ?)"
+        ).bind(email, name || email.split('@')[0], role).run();
+        userId = result.meta.last_row_id;
+    } catch (e) {
+        return errorResponse('Email already exists', 400);
+    }
+
+    const invitation = await issuePasswordToken(env, userId, 'invite', currentUser.id);
+    console.log(`✉️ ${currentUser.email} invited ${email} (${role})`);
+    await logAudit(env, currentUser, 'invite', 'user', userId, null, await getUserSnapshot(env, userId));
+
+    return jsonResponse({ success: true, id: userId, ...invitation });
+}
+
+// Count active owners, optionally ignoring one user (used to keep at least one owner)
+async function countActiveOwners(env, excludeId = null) {
+    const row = await env.hikari_db.prepare(
+        "SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner' AND is_active = 1 AND id != ?"
+    ).bind(excludeId ?? 0).first();
+    return row.count;
+}
+
+// Change name, role or active flag
+async function updateUser(request, env, id, currentUser) {
+    const data = await request.json();
+    await ensureAdminUserColumns(env);
+
+    const user = await env.hikari_db.prepare('SELECT * FROM admin_users WHERE id = ?').bind(id).first();
+    if (!user) {
+        return errorResponse('User not found', 404);
+    }
+
+    const role = data.role ?? user.role;
+    const isActive = data.is_active === undefined ? user.is_active : (data.is_active ? 1 : 0);
+
+    if (!ROLES.includes(role)) {
+        return errorResponse('Invalid role');
+    }
+    if (user.id === currentUser.id && (role !== user.role || !isActive)) {
+        return errorResponse('You cannot change your own role or disable your own account');
+    }
+    if (user.role === 'owner' && (role !== 'owner' || !isActive) && await countActiveOwners(env, user.id) === 0) {
+        return errorResponse('At least one active owner is required');
+    }
+
+    await env.hikari_db.prepare(
+        'UPDATE admin_users SET name = ?, role = ?, is_active = ? WHERE id = ?'
+    ).bind(data.name ?? user.name, role, isActive, id).run();
+
+    // Disabled accounts are signed out everywhere
+    if (!isActive) {
+        await env.hikari_db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(id).run();
+    }
+
+    await logAudit(env, currentUser, 'update', 'user', user.id,
+        { id: user.id, email: user.email, name: user.name, role: user.role, is_active: user.is_active },
+        await getUserSnapshot(env, user.id));
+
+    return jsonResponse({ success: true });
+}
+
+// Clear the password, sign the user out and return a one-time reset link token
+async function forcePasswordReset(env, id, currentUser) {
+    const user = await env.hikari_db.prepare('SELECT id, email FROM admin_users WHERE id = ?').bind(id).first();
+    if (!user) {
+        return errorResponse('User not found', 404);
+    }
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare("UPDATE admin_users SET password_hash = '' WHERE id = ?").bind(user.id),
+        env.hikari_db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id)
+    ]);
+
+    const reset = await issuePasswordToken(env, user.id, 'reset', currentUser.id);
+    console.log(`🔑 ${currentUser.email} forced a password reset for ${user.email}`);
+    await logAudit(env, currentUser, 'reset_password', 'user', user.id, null, { email: user.email });
+
+    return jsonResponse({ success: true, ...reset });
+}
+
+async function deleteUser(env, id, currentUser) {
+    await ensureAdminUserColumns(env);
+
+    const user = await getUserSnapshot(env, id);
+    if (!user) {
+        return errorResponse('User not found', 404);
+    }
+    if (user.id === currentUser.id) {
+        return errorResponse('You cannot delete your own account');
+    }
+    if (user.role === 'owner' && user.is_active && await countActiveOwners(env, user.id) === 0) {
+        return errorResponse('At least one active owner is required');
+    }
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id),
+        env.hikari_db.prepare('DELETE FROM password_tokens WHERE user_id = ?').bind(user.id),
+        env.hikari_db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(user.id),
+        env.hikari_db.prepare('DELETE FROM passkeys WHERE user_id = ?').bind(user.id),
+        env.hikari_db.prepare('DELETE FROM admin_users WHERE id = ?').bind(user.id)
+    ]);
+
+    await logAudit(env, currentUser, 'delete', 'user', user.id, user);
+
+    return jsonResponse({ success: true });
+}
+
+// Public: validate a setup/reset link before showing the password form
+async function checkPasswordToken(url, env) {
+    await ensureAdminUserColumns(env);
+
+    const row = await findPasswordToken(env, url.searchParams.get('token'));
+    if (!row) {
+        return errorResponse('Invalid or expired link', 400);
+    }
+
+    return jsonResponse({ success: true, email: row.email, name: row.name, purpose: row.purpose });
+}
+
+// Public: set the password from a setup/reset link (token is consumed)
+async function setupPassword(request, env) {
+    const { token, password } = await request.json();
+
+    if (!token || !password) {
+        return errorResponse('Token and password required');
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return errorResponse(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+
+    await ensureAdminUserColumns(env);
+
+    const row = await findPasswordToken(env, token);
+    if (!row) {
+        return errorResponse('Invalid or expired link', 400);
+    }
+
+    // Consume first so two concurrent requests can't both use the token
+    const consumed = await env.hikari_db.prepare(
+        'UPDATE password_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL'
+    ).bind(row.id).run();
+    if (!consumed.meta.changes) {
+        return errorResponse('Invalid or expired link', 400);
+    }
+
+    await env.hikari_db.batch([
+        env.hikari_db.prepare('UPDATE admin_users SET password_hash = ? WHERE id = ?')
+            .bind(await hashPassword(password), row.user_id),
+        env.hikari_db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(row.user_id)
+    ]);
+
+    return jsonResponse({ success: true, email: row.email });
+}
+
+// ===== HTML SANITIZER =====
+// 'html' content fields are cleaned on write against a small allowlist. Unknown tags
+// are dropped but keep their text; script-like elements go with their content. No
+// attributes survive except a safe href on links. The output is stable: cleaning it
+// again returns the same string, so re-saving a field never changes it.
+const HTML_ALLOWED_TAGS = new Set(['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'a']);
+const HTML_VOID_TAGS = new Set(['br']);
+const HTML_DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template',
+    'noscript', 'noembed', 'textarea', 'title', 'svg', 'math', 'xmp', 'select'
+]);
+const HTML_TAG_PATTERN = /<(\/?)([a-z][a-z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/iy;
+const HTML_ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+// A leading / must not be followed by / or \ (browsers read /\host as //host)
+const SAFE_HREF_PATTERN = /^(https?:|mailto:|tel:|\/(?![\/\\])|#)/i;
+
+// Text between tags: < and > always escaped, & only when it doesn't start an entity
+function escapeHtmlText(text) {
+    return text
+        .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeHtmlAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Enough decoding to see through "java&#115;cript:" - the browser decodes hrefs too
+function decodeHtmlEntities(value) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+    return value.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);?/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+function sanitizeLinkAttributes(attributes) {
+    for (const match of attributes.matchAll(HTML_ATTRIBUTE_PATTERN)) {
+        if (match[1].toLowerCase() !== 'href') continue;
+        // Browsers ignore whitespace and control characters inside the scheme
+        const href = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '').replace(/[\u0000- \u007f]/g, '');
+        if (!SAFE_HREF_PATTERN.test(href)) return '';
+        const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return ` href="${escapeHtmlAttribute(href)}"${external}`;
+    }
+    return '';
+}
+
+function sanitizeHtml(html) {
+    const open = [];
+    let output = '';
+    let dropping = null;
+    let index = 0;
+
+    while (index < html.length) {
+        const tagStart = html.indexOf('<', index);
+        const textEnd = tagStart === -1 ? html.length : tagStart;
+        if (!dropping) output += escapeHtmlText(html.slice(index, textEnd));
+        if (tagStart === -1) break;
+
+        if (html.startsWith('<!--', tagStart)) {
+            const commentEnd = html.indexOf('-->', tagStart + 4);
+            index = commentEnd === -1 ? html.length : commentEnd + 3;
+            continue;
+        }
+
+        HTML_TAG_PATTERN.lastIndex = tagStart;
+        const match = HTML_TAG_PATTERN.exec(html);
+        if (!match) {
+            // A lone "<" is text
+            if (!dropping) output += '&lt;';
+            index = tagStart + 1;
+            continue;
+        }
+        index = HTML_TAG_PATTERN.lastIndex;
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        if (dropping) {
+            if (closing && tag === dropping) dropping = null;
+            continue;
+        }
+        if (HTML_DROPPED_TAGS.has(tag)) {
+            if (!closing && !/\/\s*$/.test(match[3])) dropping = tag;
+            continue;
+        }
+        if (!HTML_ALLOWED_TAGS.has(tag)) continue;
+
+        if (HTML_VOID_TAGS.has(tag)) {
+            if (!closing) output += `<${tag}>`;
+        } else if (closing) {
+            // Close anything left open inside it; a stray closing tag is dropped
+            const at = open.lastIndexOf(tag);
+            while (at !== -1 && open.length > at) output += `</${open.pop()}>`;
+        } else {
+            // <li>a<li>b and <p>a<p>b: the new one ends the previous sibling
+            if ((tag === 'li' || tag === 'p') && open[open.length - 1] === tag) output += `</${open.pop()}>`;
+            output += `<${tag}${tag === 'a' ? sanitizeLinkAttributes(match[3]) : ''}>`;
+            open.push(tag);
+        }
+    }
+
+    while (open.length > 0) output += `</${open.pop()}>`;
+    return output;
+}
+
+// ===== CONTENT SCHEMA =====
+// Every editable site_content field, with its type and limits. Writes (drafts and
+// translations) are validated against it; GET /api/admin/content/schema exposes it
+// so the admin forms can check their fields and apply the same limits.
+//   text    string, max length; format 'email' | 'url' optional
+//   html    string, max length; cleaned by sanitizeHtml() before it is stored
+//   image   http(s) URL or site-relative path
+//   json    JSON value matching `shape`: 'string[]' (maxItems, max per item) or 'hours'
+//   number  numeric string, min / max, integer optional
+const CONTENT_TEXT_MAX = 500;
+const CONTENT_IMAGE_MAX = 2048;
+const CONTENT_JSON_MAX = 10000;
+
+const textField = (max = CONTENT_TEXT_MAX, extra = {}) => ({ type: 'text', max, ...extra });
+const imageField = () => ({ type: 'image', max: CONTENT_IMAGE_MAX });
+const hoursField = () => ({ type: 'json', shape: 'hours', max: 40 });
+
+const CONTENT_SCHEMA = {
+    hero: {
+        label: 'Accueil',
+        fields: {
+            badge: textField(60),
+            title: textField(120),
+            typed_words: { type: 'json', shape: 'string[]', maxItems: 10, max: 40 },
+            subtitle: textField(300),
+            background_image: imageField()
+        }
+    },
+    about: {
+        label: 'Notre Histoire',
+        fields: {
+            subtitle: textField(120),
+            title: textField(200),
+            description: { type: 'html', max: 3000 },
+            description2: textField(2000),
+            description3: textField(2000),
+            image: imageField()
+        }
+    },
+    signature: {
+        label: 'Plat signature',
+        fields: {
+            image: imageField(),
+            background: imageField(),
+            name: textField(120),
+            description: textField(1000),
+            old_price: textField(20),
+            new_price: textField(20)
+        }
+    },
+    reservation: {
+        label: 'Réservation',
+        fields: {
+            image: imageField(),
+            background: imageField(),
+            badge1: textField(40),
+            badge2: textField(40),
+            title: textField(120),
+            description: textField(1000),
+            feature1: textField(80),
+            feature2: textField(80),
+            feature3: textField(80)
+        }
+    },
+    contact: {
+        label: 'Contact',
+        fields: {
+            phone: textField(30),
+            email: textField(120, { format: 'email' }),
+            address: textField(200),
+            map_embed: textField(2048, { format: 'url' }),
+            parking: textField(1000),
+            metro: textField(1000),
+            velo_bus: textField(1000)
+        }
+    },
+    social: {
+        label: 'Réseaux sociaux',
+        fields: {
+            facebook: textField(300, { format: 'url' }),
+            instagram: textField(300, { format: 'url' }),
+            tripadvisor: textField(300, { format: 'url' }),
+            google: textField(300, { format: 'url' })
+        }
+    },
+    hours: {
+        label: 'Horaires',
+        fields: Object.fromEntries(
+            ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, hoursField()])
+        )
+    },
+    footer: {
+        label: 'Pied de page',
+        fields: { description: textField(500) }
+    },
+    menu: {
+        label: 'Menu',
+        fields: { categories: { type: 'json', shape: 'string[]', maxItems: 30, max: 60 } }
+    },
+    seo: {
+        label: 'Référencement',
+        fields: { title: textField(70), description: textField(200) }
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const IMAGE_URL_PATTERN = /^(https?:\/\/|\/)\S*$/i;
+
+function getContentFieldSchema(section, key) {
+    return Object.hasOwn(CONTENT_SCHEMA, section) && Object.hasOwn(CONTENT_SCHEMA[section].fields, key)
+        ? CONTENT_SCHEMA[section].fields[key]
+        : null;
+}
+
+function validateJsonShape(field, parsed) {
+    if (field.shape === 'string[]') {
+        if (!Array.isArray(parsed) || parsed.some(item => typeof item !== 'string')) {
+            return 'must be a JSON list of strings';
+        }
+        if (parsed.length > field.maxItems) return `must have at most ${field.maxItems} items`;
+        if (parsed.some(item => item.length > field.max)) return `items must be at most ${field.max} characters`;
+        return null;
+    }
+    if (field.shape === 'hours') {
+        const isPlainObject = parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+        if (!isPlainObject || Object.keys(parsed).some(k => k !== 'lunch' && k !== 'dinner')) {
+            return 'must be {"lunch": "...", "dinner": "..."}';
+        }
+        for (const k of ['lunch', 'dinner']) {
+            if (parsed[k] !== undefined && typeof parsed[k] !== 'string') return `${k} must be a string`;
+            if ((parsed[k] || '').length > field.max) return `${k} must be at most ${field.max} characters`;
+        }
+    }
+    return null;
+}
+
+// Returns { type, value } for a valid value - the value to store, html cleaned - or { error }.
+// Empty values are allowed (field hidden on the site).
+function validateContentValue(section, key, value, type) {
+    const field = getContentFieldSchema(section, key);
+    if (!field) return { error: 'unknown field' };
+    if (type && type !== field.type) return { error: `type must be '${field.type}'` };
+    if (typeof value !== 'string') return { error: 'value must be a string' };
+    const maxLength = field.type === 'json' ? CONTENT_JSON_MAX : field.max;
+    if (field.type !== 'number' && value.length > maxLength) {
+        return { error: `must be at most ${maxLength} characters` };
+    }
+    if (value === '') return { type: field.type, value };
+
+    switch (field.type) {
+        case 'html':
+            return { type: field.type, value: sanitizeHtml(value) };
+        case 'text':
+            if (field.format === 'email' && !EMAIL_PATTERN.test(value)) return { error: 'must be an email address' };
+            if (field.format === 'url' && !URL_PATTERN.test(value)) return { error: 'must be an http(s) URL' };
+            break;
+        case 'image':
+            if (!IMAGE_URL_PATTERN.test(value)) return { error: 'must be an image URL' };
+            break;
+        case 'number': {
+            const number = Number(value);
+            if (value.trim() === '' || !Number.isFinite(number)) return { error: 'must be a number' };
+            if (field.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+            if (number < field.min || number > field.max) return { error: `must be between ${field.min} and ${field.max}` };
+            break;
+        }
+        case 'json': {
+            let parsed;
+            try {
+                parsed = JSON.parse(value);
+            } catch (e) {
+                return { error: 'must be valid JSON' };
+            }
+            const shapeError = validateJsonShape(field, parsed);
+            if (shapeError) return { error: shapeError };
+            break;
+        }
+    }
+    return { type: field.type, value };
+}
+
+// 400 with one message per field ('section.key' -> message)
+function fieldErrorResponse(fields, extra = {}) {
+    const summary = Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; ');
+    return jsonResponse({ success: false, error: `Invalid content: ${summary}`, fields, ...extra }, 400);
+}
+
+function getContentSchema() {
+    return jsonResponse({ success: true, sections: CONTENT_SCHEMA });
+}
+
+// ===== CONTENT HANDLERS =====
+
+async function getContent(request, env, useCache = false) {
+    const url = new URL(request.url);
+    const section = url.searchParams.get('section');
+    const lang = getRequestLang(url);
+
+    // ?preview=<token>: published content + pending drafts, never cached
+    const previewToken = url.searchParams.get('preview');
+    if (previewToken) {
+        return await getPreviewContent(env, previewToken, lang);
+    }
+
+    // Try to get from KV cache first (for public requests)
+    if (useCache && !section) {
+        try {
+            const cached = await env.hikari_cache.get(langCacheKey(CACHE_KEYS.CONTENT, lang));
+            if (cached) {
+                console.log(`📦 Serving content from cache (${lang})`);
+                return jsonResponse({ success: true, content: JSON.parse(cached), lang, cached: true }, 200, true);
+            }
+        } catch (e) {
+            console.log('Cache miss, falling back to D1');
+        }
+    }
+
+    let query = 'SELECT * FROM site_content';
+    let params = [];
+
+    if (section) {
+        query += ' WHERE section = ?';
+        params.push(section);
+    }
+
+    const result = await env.hikari_db.prepare(query).bind(...params).all();
+    const rows = lang === DEFAULT_LANG
+        ? result.results
+        : translateContentRows(result.results, await loadContentTranslations(env, lang), lang);
+    const content = rowsToContent(rows);
+
+    return jsonResponse({ success: true, content, lang }, 200, useCache);
+}
+
+// site_content rows -> { section: { key: value } }
+function rowsToContent(rows) {
+    const content = {};
+    rows.forEach(row => {
+        if (!content[row.section]) content[row.section] = {};
+        content[row.section][row.key] = row.type === 'json' ? JSON.parse(row.value) : row.value;
+    });
+    return content;
+}
+
+async function getAllContent(env) {
+    const result = await env.hikari_db.prepare('SELECT * FROM site_content ORDER BY section, key').all();
+    return jsonResponse({ success: true, items: result.results });
+}
+
+// Edits are saved as drafts - publishContent() makes them live
+async function updateContent(request, env, actor) {
+    const { section, key, value, type } = await request.json();
+
+    const checked = validateContentValue(section, key, value, type);
+    if (checked.error) {
+        return fieldErrorResponse({ [`${section}.${key}`]: checked.error });
+    }
+    const entry = { section, key, value: checked.value, type: checked.type };
+
+    const [published, draft] = await Promise.all([
+        env.hikari_db.prepare(
+            'SELECT value, type FROM site_content WHERE section = ? AND key = ?'
+        ).bind(section, key).first(),
+        env.hikari_db.prepare(
+            'SELECT value, type FROM content_drafts WHERE section = ? AND key = ?'
+        ).bind(section, key).first()
+    ]);
+
+    const plan = planContentDraft(env, actor, entry, published, draft);
+    if (plan.statements.length > 0) {
+        await env.hikari_db.batch(plan.statements);
+    }
+    if (plan.status === 'draft') {
+        await logAudit(env, actor, 'draft', 'content', `${section}.${key}`,
+            draft || published, { value: entry.value, type: entry.type });
+    }
+
+    return jsonResponse({ success: true, draft: plan.draft, unchanged: plan.status === 'unchanged' });
+}
+
+// Saving one field as a draft, given its live row and pending draft:
+//   unchanged - same as the draft (or as the live value with no draft): nothing to write
+//   reverted  - edited back to the live value: the draft is dropped
+//   draft     - new or updated draft
+// Forms save every field, so untouched ones must not leave drafts behind.
+function planContentDraft(env, actor, { section, key, value, type }, published, draft) {
+    if (published && isSameContent(published, value, type)) {
+        return draft
+            ? { status: 'reverted', draft: false, statements: [contentDraftDeleteStatement(env, section, key)] }
+            : { status: 'unchanged', draft: false, statements: [] };
+    }
+    if (draft && isSameContent(draft, value, type)) {
+        return { status: 'unchanged', draft: true, statements: [] };
+    }
+    return {
+        status: 'draft',
+        draft: true,
+        statements: [env.hikari_db.prepare(`
+            INSERT INTO content_drafts (section, key, value, type, user_id, user_email, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(section, key) DO UPDATE SET
+            value = excluded.value,
+            type = excluded.type,
+            user_id = excluded.user_id,
+            user_email = excluded.user_email,
+            updated_at = CURRENT_TIMESTAMP
+        `).bind(section, key, value, type, actor.id ?? null, actor.email || null)]
+    };
+}
+
+// Writing one field straight to site_content (bulk save with publish): the draft goes either way
+function planContentPublish(env, actor, { section, key, value, type }, published, draft) {
+    const statements = draft ? [contentDraftDeleteStatement(env, section, key)] : [];
+    if (published && isSameContent(published, value, type)) {
+        return { status: draft ? 'reverted' : 'unchanged', draft: false, statements };
+    }
+    statements.unshift(
+        contentUpsertStatement(env, section, key, value, type),
+        ...contentRevisionStatements(env, actor, section, key, value, type, published)
+    );
+    return { status: 'published', draft: false, statements };
+}
+
+function contentDraftDeleteStatement(env, section, key) {
+    return env.hikari_db.prepare('DELETE FROM content_drafts WHERE section = ? AND key = ?').bind(section, key);
+}
+
+// Rows saved before the schema existed may carry another type ('text' for images):
+// only the JSON flag changes how a value is served
+function isSameContent(row, value, type) {
+    return row.value === value && (row.type === 'json') === (type === 'json');
+}
+
+// unpublishAt: SQL date after which the cron reverts the field (NULL = stays live)
+function contentUpsertStatement(env, section, key, value, type, unpublishAt = null) {
+    return env.hikari_db.prepare(`
+        INSERT INTO site_content (section, key, value, type, unpublish_at, updated_at) 
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(section, key) DO UPDATE SET 
+        value = excluded.value, 
+        type = excluded.type,
+        unpublish_at = excluded.unpublish_at,
+        updated_at = CURRENT_TIMESTAMP
+    `).bind(section, key, value, type, unpublishAt);
+}
+
+// ===== CONTENT REVISIONS =====
+// Every value published to site_content is also kept in content_revisions.
+// Values written before history existed get a baseline revision the first time they change.
+const CONTENT_REVISIONS_LIMIT = 50;
+const DIFF_MAX_CELLS = 250000; // word diff is O(n*m) - beyond this, show a plain replace
+
+function contentRevisionStatements(env, actor, section, key, value, type, before, restoredFrom = null) {
+    const statements = [];
+    if (before) {
+        statements.push(env.hikari_db.prepare(`
+            INSERT INTO content_revisions (section, key, value, type, created_at)
+            SELECT ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP)
+            WHERE NOT EXISTS (SELECT 1 FROM content_revisions WHERE section = ? AND key = ?)
+        `).bind(section, key, before.value, before.type, before.updated_at || null, section, key));
+    }
+    statements.push(env.hikari_db.prepare(`
+        INSERT INTO content_revisions (section, key, value, type, user_id, user_email, restored_from)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(section, key, value, type, actor.id ?? null, actor.email || null, restoredFrom));
+    return statements;
+}
+
+// Word-level diff: [{ op: 'equal' | 'add' | 'remove', text }]
+function diffWords(from, to) {
+    const a = (from || '').split(/(\s+)/).filter(Boolean);
+    const b = (to || '').split(/(\s+)/).filter(Boolean);
+
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        return [
+            ...(from ? [{ op: 'remove', text: from }] : []),
+            ...(to ? [{ op: 'add', text: to }] : [])
+        ];
+    }
+
+    // LCS lengths of suffixes
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (op, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.op === op) {
+            last.text += text;
+        } else {
+            parts.push({ op, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('remove', a[i++]);
+        } else {
+            push('add', b[j++]);
+        }
+    }
+    while (i < a.length) push('remove', a[i++]);
+    while (j < b.length) push('add', b[j++]);
+
+    return parts;
+}
+
+async function getContentRevisions(url, env) {
+    const section = url.searchParams.get('section');
+    const key = url.searchParams.get('key');
+    if (!section || !key) {
+        return errorResponse('section and key required');
+    }
+
+    const [{ results }, current] = await Promise.all([
+        env.hikari_db.prepare(`
+            SELECT id, value, type, user_email, restored_from, created_at
+            FROM content_revisions
+            WHERE section = ? AND key = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `).bind(section, key, CONTENT_REVISIONS_LIMIT).all(),
+        env.hikari_db.prepare(
+            'SELECT value, type FROM site_content WHERE section = ? AND key = ?'
+        ).bind(section, key).first()
+    ]);
+
+    const items = results.map((revision, index) => ({
+        ...revision,
+        is_current: index === 0 && !!current && current.value === revision.value
+    }));
+
+    return jsonResponse({ success: true, section, key, current, items });
+}
+
+// One revision + what restoring it would change (current -> revision)
+async function getContentRevision(env, id) {
+    const revision = await env.hikari_db.prepare(
+        'SELECT * FROM content_revisions WHERE id = ?'
+    ).bind(id).first();
+    if (!revision) {
+        return errorResponse('Revision not found', 404);
+    }
+
+    const current = await env.hikari_db.prepare(
+        'SELECT value, type, updated_at FROM site_content WHERE section = ? AND key = ?'
+    ).bind(revision.section, revision.key).first();
+
+    return jsonResponse({
+        success: true,
+        revision,
+        current,
+        diff: diffWords(current?.value, revision.value)
+    });
+}
+
+async function restoreContentRevision(env, id, actor) {
+    const revision = await env.hikari_db.prepare(
+        'SELECT * FROM content_revisions WHERE id = ?'
+    ).bind(id).first();
+    if (!revision) {
+        return errorResponse('Revision not found', 404);
+    }
+
+    await ensureContentColumns(env);
+
+    const { section, key, value, type } = revision;
+    const before = await env.hikari_db.prepare(
+        'SELECT value, type, updated_at FROM site_content WHERE section = ? AND key = ?'
+    ).bind(section, key).first();
+
+    if (before && before.value === value && before.type === type) {
+        return jsonResponse({ success: true, unchanged: true });
+    }
+
+    // A rollback goes live at once and replaces any pending draft of the field
+    await env.hikari_db.batch([
+        contentUpsertStatement(env, section, key, value, type),
+        ...contentRevisionStatements(env, actor, section, key, value, type, before, revision.id),
+        env.hikari_db.prepare('DELETE FROM content_drafts WHERE section = ? AND key = ?').bind(section, key)
+    ]);
+
+    await invalidateLangCache(env, CACHE_KEYS.CONTENT);
+    console.log(`⏪ ${section}.${key} restored to revision #${revision.id} - content cache invalidated`);
+
+    await logAudit(env, actor, 'restore', 'content', `${section}.${key}`,
+        before && { value: before.value, type: before.type }, { value, type, revision: revision.id });
 
-        try {
-            // Refresh all KV cache
-            const result = await refreshCacheInternal(env);
-            console.log('✅ KV Cache refreshed successfully');
+    return jsonResponse({ success: true, value, type });
+}
 
-            // Warm CDN cache for images
-            await warmImageCache(env, result.menu, result.content);
-            console.log('✅ Image CDN cache warmed');
-        } catch (error) {
-            console.error('❌ Cache refresh failed:', error);
-        }
-    }
-};
+// ===== BULK CONTENT SAVE =====
+// One request per form instead of one per field. Every entry is validated first (one bad
+// field rejects the whole save), then all writes go in a single D1 batch - a transaction,
+// so a save is applied completely or not at all. With { publish: true } the values go live
+// directly (content:publish) and the KV cache is rebuilt once for the whole batch.
+const CONTENT_BATCH_MAX = 100;
 
-// ===== CACHE FUNCTIONS =====
+function actorCan(actor, permission) {
+    const permissions = actor.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
 
-// Warm CDN cache by fetching all images
-async function warmImageCache(env, menuItems, content) {
-    const imageUrls = new Set();
-    const baseUrl = 'https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev';
+async function saveContentBatch(request, env, actor) {
+    const { entries, publish = false } = await request.json();
 
-    // Collect menu item images
-    menuItems.forEach(item => {
-        if (item.image && item.image.includes('/assets/')) {
-            imageUrls.add(item.image);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return errorResponse('entries must be a non-empty list');
+    }
+    if (entries.length > CONTENT_BATCH_MAX) {
+        return errorResponse(`At most ${CONTENT_BATCH_MAX} entries per save`);
+    }
+    if (publish && !actorCan(actor, 'content:publish')) {
+        return errorResponse('Forbidden: publishing requires content:publish', 403);
+    }
+
+    const errors = {};
+    const valid = [];
+    entries.forEach(entry => {
+        const { section, key, value, type } = entry || {};
+        const field = `${section}.${key}`;
+        if (Object.hasOwn(errors, field) || valid.some(e => e.section === section && e.key === key)) {
+            errors[field] = 'appears more than once';
+            return;
         }
+        const checked = validateContentValue(section, key, value, type);
+        if (checked.error) errors[field] = checked.error;
+        else valid.push({ section, key, value: checked.value, type: checked.type });
     });
 
-    // Collect content images (gallery, about, etc.)
-    Object.values(content).forEach(section => {
-        if (typeof section === 'object') {
-            Object.values(section).forEach(value => {
-                if (typeof value === 'string' && value.includes('/assets/')) {
-                    imageUrls.add(value);
-                }
-            });
+    if (Object.keys(errors).length > 0) {
+        const results = entries.map(entry => {
+            const field = `${entry?.section}.${entry?.key}`;
+            return errors[field]
+                ? { section: entry?.section, key: entry?.key, status: 'invalid', error: errors[field] }
+                : { section: entry.section, key: entry.key, status: 'skipped' };
+        });
+        return fieldErrorResponse(errors, { results });
+    }
+
+    const sections = [...new Set(valid.map(entry => entry.section))];
+    const placeholders = sections.map(() => '?').join(', ');
+    const [{ results: liveRows }, { results: draftRows }] = await env.hikari_db.batch([
+        env.hikari_db.prepare(
+            `SELECT section, key, value, type, updated_at FROM site_content WHERE section IN (${placeholders})`
+        ).bind(...sections),
+        env.hikari_db.prepare(
+            `SELECT section, key, value, type FROM content_drafts WHERE section IN (${placeholders})`
+        ).bind(...sections)
+    ]);
+    const live = new Map(liveRows.map(row => [`${row.section}.${row.key}`, row]));
+    const drafts = new Map(draftRows.map(row => [`${row.section}.${row.key}`, row]));
+
+    const statements = [];
+    const results = [];
+    const before = {};
+    const after = {};
+    valid.forEach(entry => {
+        const field = `${entry.section}.${entry.key}`;
+        const published = live.get(field) || null;
+        const draft = drafts.get(field) || null;
+        const plan = publish
+            ? planContentPublish(env, actor, entry, published, draft)
+            : planContentDraft(env, actor, entry, published, draft);
+
+        statements.push(...plan.statements);
+        results.push({ section: entry.section, key: entry.key, status: plan.status, draft: plan.draft });
+        if (plan.status === 'draft' || plan.status === 'published') {
+            before[field] = (draft || published)?.value ?? null;
+            after[field] = entry.value;
         }
     });
 
-    console.log(`🖼️ Warming cache for ${imageUrls.size} images...`);
+    if (statements.length > 0) {
+        await env.hikari_db.batch(statements);
+    }
 
-    // Fetch all images in parallel (max 10 concurrent)
-    const urlArray = Array.from(imageUrls);
-    const batchSize = 10;
+    const changed = Object.keys(after).length;
+    if (publish && changed > 0) {
+        await refreshCacheInternal(env);
+    }
+    if (changed > 0) {
+        console.log(`💾 ${actor.email} saved ${changed} content field(s) ${publish ? 'live - cache refreshed' : 'as drafts'}`);
+        await logAudit(env, actor, publish ? 'publish' : 'draft', 'content', null, before, after);
+    }
 
-    for (let i = 0; i < urlArray.length; i += batchSize) {
-        const batch = urlArray.slice(i, i + batchSize);
-        await Promise.allSettled(
-            batch.map(url => {
-                const fullUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
-                return fetch(fullUrl, {
-                    method: 'GET',
-                    cf: { cacheTtl: 86400, cacheEverything: true }
-                });
-            })
+    return jsonResponse({ success: true, published: publish, changed, results });
+}
+
+// ===== CONTENT DRAFTS & PREVIEW =====
+const PREVIEW_TOKEN_TTL_HOURS = 24;
+const PREVIEW_TOKEN_MAX_HOURS = 168;
+
+// Pending and scheduled drafts, plus live fields that will be reverted (expiring)
+async function getContentDrafts(env) {
+    await ensureContentColumns(env);
+
+    const [{ results }, { results: expiring }] = await Promise.all([
+        env.hikari_db.prepare(`
+            SELECT d.section, d.key, d.value, d.type, d.user_email, d.updated_at,
+                d.publish_at, d.unpublish_at, c.value as published_value
+            FROM content_drafts d
+            LEFT JOIN site_content c ON c.section = d.section AND c.key = d.key
+            ORDER BY d.section, d.key
+        `).all(),
+        env.hikari_db.prepare(`
+            SELECT section, key, value, unpublish_at
+            FROM site_content
+            WHERE unpublish_at IS NOT NULL
+            ORDER BY unpublish_at
+        `).all()
+    ]);
+    return jsonResponse({ success: true, items: results, expiring });
+}
+
+// Scheduled drafts are kept - unschedule them first
+async function discardContentDrafts(env, actor) {
+    await ensureContentColumns(env);
+
+    const { results } = await env.hikari_db.prepare(
+        'SELECT section, key, value FROM content_drafts WHERE publish_at IS NULL'
+    ).all();
+    if (results.length === 0) {
+        return jsonResponse({ success: true, discarded: 0 });
+    }
+
+    await env.hikari_db.prepare('DELETE FROM content_drafts WHERE publish_at IS NULL').run();
+    await logAudit(env, actor, 'discard', 'content', null,
+        Object.fromEntries(results.map(d => [`${d.section}.${d.key}`, d.value])), null);
+
+    return jsonResponse({ success: true, discarded: results.length });
+}
+
+// "Publier": promote pending drafts now, or schedule them when publishAt is in the future.
+// unpublishAt (optional) reverts the published fields to their previous revision.
+async function publishContent(request, env, actor) {
+    await ensureContentColumns(env);
+
+    const { publishAt, unpublishAt } = await request.json().catch(() => ({}));
+    const schedule = parseSchedule(publishAt, unpublishAt);
+    if (schedule.error) {
+        return errorResponse(schedule.error);
+    }
+
+    const { results: drafts } = await env.hikari_db.prepare(
+        'SELECT * FROM content_drafts WHERE publish_at IS NULL ORDER BY section, key'
+    ).all();
+    if (drafts.length === 0) {
+        return jsonResponse({ success: true, published: 0 });
+    }
+
+    if (schedule.publishAt) {
+        await env.hikari_db.prepare(
+            'UPDATE content_drafts SET publish_at = ?, unpublish_at = ? WHERE publish_at IS NULL'
+        ).bind(schedule.publishAt, schedule.unpublishAt).run();
+        console.log(`📅 ${actor.email} scheduled ${drafts.length} content change(s) for ${schedule.publishAt}`);
+        await logAudit(env, actor, 'schedule', 'content', null, null, {
+            fields: drafts.map(d => `${d.section}.${d.key}`),
+            publish_at: schedule.publishAt,
+            unpublish_at: schedule.unpublishAt
+        });
+        return jsonResponse({ success: true, published: 0, scheduled: drafts.length });
+    }
+
+    drafts.forEach(draft => { draft.unpublish_at = schedule.unpublishAt; });
+    await publishDrafts(env, actor, drafts);
+
+    return jsonResponse({ success: true, published: drafts.length });
+}
+
+// Promote drafts in one D1 batch (all or nothing), then rebuild the KV cache
+async function publishDrafts(env, actor, drafts) {
+    const { results: live } = await env.hikari_db.prepare(
+        'SELECT section, key, value, type, updated_at FROM site_content'
+    ).all();
+
+    const liveByField = new Map(live.map(row => [`${row.section}.${row.key}`, row]));
+    const statements = [];
+    const before = {};
+    const after = {};
+
+    drafts.forEach(draft => {
+        const field = `${draft.section}.${draft.key}`;
+        const current = liveByField.get(field) || null;
+        // Revisions are credited to whoever wrote the draft
+        const author = { id: draft.user_id, email: draft.user_email };
+
+        statements.push(
+            contentUpsertStatement(env, draft.section, draft.key, draft.value, draft.type, draft.unpublish_at || null),
+            ...contentRevisionStatements(env, author, draft.section, draft.key, draft.value, draft.type, current),
+            // Only remove the draft we published (it may have been edited in the meantime)
+            env.hikari_db.prepare(
+                'DELETE FROM content_drafts WHERE section = ? AND key = ? AND value IS ? AND type IS ?'
+            ).bind(draft.section, draft.key, draft.value, draft.type)
         );
+        before[field] = current ? current.value : null;
+        after[field] = draft.value;
+    });
+
+    await env.hikari_db.batch(statements);
+    await refreshCacheInternal(env);
+    console.log(`🚀 ${actor.email} published ${drafts.length} content change(s) - cache refreshed`);
+
+    await logAudit(env, actor, 'publish', 'content', null, before, after);
+}
+
+// Cancel schedules: scheduled drafts go back to pending, expiring fields stay live.
+// Without section/key, applies to every scheduled field.
+async function unscheduleContent(request, env, actor) {
+    await ensureContentColumns(env);
+
+    const { section, key } = await request.json().catch(() => ({}));
+    const filter = section && key ? ' AND section = ? AND key = ?' : '';
+    const params = section && key ? [section, key] : [];
+
+    const [drafts, expiring] = await env.hikari_db.batch([
+        env.hikari_db.prepare(
+            `UPDATE content_drafts SET publish_at = NULL, unpublish_at = NULL WHERE (publish_at IS NOT NULL OR unpublish_at IS NOT NULL)${filter}`
+        ).bind(...params),
+        env.hikari_db.prepare(
+            `UPDATE site_content SET unpublish_at = NULL WHERE unpublish_at IS NOT NULL${filter}`
+        ).bind(...params)
+    ]);
+
+    const changes = drafts.meta.changes + expiring.meta.changes;
+    if (changes > 0) {
+        await logAudit(env, actor, 'unschedule', 'content', section && key ? `${section}.${key}` : null);
     }
 
-    return imageUrls.size;
+    return jsonResponse({ success: true, unscheduled: changes });
 }
 
-async function refreshCacheInternal(env) {
-    // 1. Cache all content
-    const contentResult = await env.hikari_db.prepare('SELECT * FROM site_content').all();
-    const content = {};
-    contentResult.results.forEach(row => {
-        if (!content[row.section]) content[row.section] = {};
-        content[row.section][row.key] = row.type === 'json' ? JSON.parse(row.value) : row.value;
+// Signed link to preview drafts on the real site
+async function createPreviewLink(request, env) {
+    const { hours } = await request.json().catch(() => ({}));
+    const ttlHours = hours === undefined ? PREVIEW_TOKEN_TTL_HOURS : Number(hours);
+    if (!Number.isInteger(ttlHours) || ttlHours < 1 || ttlHours > PREVIEW_TOKEN_MAX_HOURS) {
+        return errorResponse(`Preview duration must be between 1 and ${PREVIEW_TOKEN_MAX_HOURS} hours`);
+    }
+
+    const expiresAt = Date.now() + ttlHours * 60 * 60 * 1000;
+    const token = await signToken(env, { typ: 'preview', exp: expiresAt });
+    const siteUrl = requireEnv(env, 'SITE_URL').replace(/\/+$/, '');
+
+    return jsonResponse({
+        success: true,
+        token,
+        url: `${siteUrl}/?preview=${encodeURIComponent(token)}`,
+        expiresAt: new Date(expiresAt).toISOString()
     });
-    await env.hikari_cache.put(CACHE_KEYS.CONTENT, JSON.stringify(content), { expirationTtl: 86400 }); // 24h
+}
 
-    // 2. Cache menu items
-    const menuResult = await env.hikari_db.prepare(
-        'SELECT * FROM menu_items WHERE is_active = 1 ORDER BY category, display_order'
-    ).all();
-    await env.hikari_cache.put(CACHE_KEYS.MENU, JSON.stringify(menuResult.results), { expirationTtl: 86400 });
+async function getPreviewContent(env, token, lang = DEFAULT_LANG) {
+    const payload = await verifySignedToken(env, token);
+    if (!payload || payload.typ !== 'preview') {
+        return errorResponse('Invalid or expired preview link', 403);
+    }
 
-    // 3. Cache settings
-    const settingsResult = await env.hikari_db.prepare('SELECT * FROM settings').all();
-    const settings = {};
-    settingsResult.results.forEach(row => {
-        settings[row.key] = row.type === 'json' ? JSON.parse(row.value) : row.value;
+    const [{ results: live }, { results: drafts }] = await Promise.all([
+        env.hikari_db.prepare('SELECT section, key, value, type FROM site_content').all(),
+        env.hikari_db.prepare('SELECT section, key, value, type FROM content_drafts').all()
+    ]);
+
+    let rows = [...live, ...drafts];
+    if (lang !== DEFAULT_LANG) {
+        rows = translateContentRows(rows, await loadContentTranslations(env, lang), lang);
+    }
+
+    const content = rowsToContent(rows);
+    return jsonResponse(
+        { success: true, content, lang, preview: true, drafts: drafts.length, expiresAt: new Date(payload.exp).toISOString() },
+        200, false, { 'Cache-Control': 'no-store' }
+    );
+}
+
+// ===== TRANSLATIONS =====
+// French is the source language (site_content, menu_items.name/description).
+// English and Japanese override it field by field - content_translations rows and
+// menu_items.<column>_<lang> - and anything left untranslated falls back to French.
+const DEFAULT_LANG = 'fr';
+const SUPPORTED_LANGS = ['fr', 'en', 'ja'];
+const TRANSLATED_MENU_FIELDS = ['name', 'description'];
+// The tabs are matched against menu_items.category, which is never translated
+const UNTRANSLATED_CONTENT_KEYS = ['menu.categories'];
+
+// Images, numbers and the keys above keep the French value in every language
+function isSameInEveryLang(section, key, type) {
+    return type === 'image' || type === 'number' || UNTRANSLATED_CONTENT_KEYS.includes(`${section}.${key}`);
+}
+
+// ?lang= -> supported language, French otherwise
+function getRequestLang(url) {
+    const lang = (url.searchParams.get('lang') || '').toLowerCase();
+    return SUPPORTED_LANGS.includes(lang) ? lang : DEFAULT_LANG;
+}
+
+// French keeps the original KV key so existing cache entries stay valid
+function langCacheKey(baseKey, lang) {
+    return lang === DEFAULT_LANG ? baseKey : `${baseKey}:${lang}`;
+}
+
+async function invalidateLangCache(env, baseKey) {
+    await Promise.all(SUPPORTED_LANGS.map(lang => env.hikari_cache.delete(langCacheKey(baseKey, lang))));
+}
+
+async function loadContentTranslations(env, lang = null) {
+    const query = lang
+        ? env.hikari_db.prepare('SELECT section, key, lang, value FROM content_translations WHERE lang = ?').bind(lang)
+        : env.hikari_db.prepare('SELECT section, key, lang, value FROM content_translations');
+    const { results } = await query.all();
+    return results;
+}
+
+// Swap in the translated values - the type (json/text) stays the French row's
+function translateContentRows(rows, translations, lang) {
+    const translated = new Map(translations
+        .filter(t => t.lang === lang && t.value !== '')
+        .map(t => [`${t.section}.${t.key}`, t.value]));
+    return rows.map(row => {
+        const value = translated.get(`${row.section}.${row.key}`);
+        return value === undefined || isSameInEveryLang(row.section, row.key, row.type) ? row : { ...row, value };
     });
-    await env.hikari_cache.put(CACHE_KEYS.SETTINGS, JSON.stringify(settings), { expirationTtl: 86400 });
+}
 
-    // 4. Save last update timestamp
-    await env.hikari_cache.put(CACHE_KEYS.LAST_UPDATE, new Date().toISOString());
+// Public shape: name/description in the requested language, no per-language columns
+function localizeMenuItem(item, lang) {
+    return localizeRow(item, TRANSLATED_MENU_FIELDS, lang);
+}
+
+// <field> takes the <field>_<lang> value when there is one; the _<lang> columns are dropped
+function localizeRow(item, fields, lang) {
+    const localized = { ...item };
+    for (const field of fields) {
+        for (const other of SUPPORTED_LANGS) {
+            if (other !== DEFAULT_LANG) delete localized[`${field}_${other}`];
+        }
+        if (lang !== DEFAULT_LANG && item[`${field}_${lang}`]) {
+            localized[field] = item[`${field}_${lang}`];
+        }
+    }
+    return localized;
+}
 
-    return { content, menu: menuResult.results, settings };
+function parseTranslationLang(lang) {
+    return lang !== DEFAULT_LANG && SUPPORTED_LANGS.includes(lang) ? lang : null;
 }
 
-async function refreshAllCache(env) {
+async function getContentTranslations(url, env) {
+    const lang = parseTranslationLang(url.searchParams.get('lang'));
+    if (!lang) {
+        return errorResponse(`lang must be one of: ${SUPPORTED_LANGS.filter(l => l !== DEFAULT_LANG).join(', ')}`);
+    }
+
+    const { results } = await env.hikari_db.prepare(`
+        SELECT section, key, lang, value, user_email, updated_at
+        FROM content_translations
+        WHERE lang = ?
+        ORDER BY section, key
+    `).bind(lang).all();
+    return jsonResponse({ success: true, lang, items: results });
+}
+
+// Goes live immediately; an empty value removes the translation (back to French)
+async function updateContentTranslation(request, env, actor) {
+    const data = await request.json();
+    const { section, key } = data;
+    const lang = parseTranslationLang(data.lang);
+    const input = typeof data.value === 'string' ? data.value.trim() : '';
+
+    if (!lang) {
+        return errorResponse(`lang must be one of: ${SUPPORTED_LANGS.filter(l => l !== DEFAULT_LANG).join(', ')}`);
+    }
+
+    const checked = validateContentValue(section, key, input);
+    if (checked.error) {
+        return fieldErrorResponse({ [`${section}.${key}`]: checked.error });
+    }
+    const value = checked.value;
+    if (isSameInEveryLang(section, key, checked.type)) {
+        return fieldErrorResponse({ [`${section}.${key}`]: 'is the same in every language' });
+    }
+
+    const [source, before] = await Promise.all([
+        env.hikari_db.prepare('SELECT type FROM site_content WHERE section = ? AND key = ?').bind(section, key).first(),
+        env.hikari_db.prepare(
+            'SELECT value FROM content_translations WHERE section = ? AND key = ? AND lang = ?'
+        ).bind(section, key, lang).first()
+    ]);
+    if (!source) {
+        return errorResponse('Content not found', 404);
+    }
+    if ((before?.value ?? '') === value) {
+        return jsonResponse({ success: true, unchanged: true });
+    }
+
+    if (value) {
+        await env.hikari_db.prepare(`
+            INSERT INTO content_translations (section, key, lang, value, user_id, user_email, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(section, key, lang) DO UPDATE SET
+                value = excluded.value, user_id = excluded.user_id,
+                user_email = excluded.user_email, updated_at = CURRENT_TIMESTAMP
+        `).bind(section, key, lang, value, actor.id ?? null, actor.email).run();
+    } else {
+        await env.hikari_db.prepare(
+            'DELETE FROM content_translations WHERE section = ? AND key = ? AND lang = ?'
+        ).bind(section, key, lang).run();
+    }
+
+    await env.hikari_cache.delete(langCacheKey(CACHE_KEYS.CONTENT, lang));
+    console.log(`🌐 ${section}.${key} (${lang}) ${value ? 'translated' : 'translation removed'} - content cache invalidated`);
+
+    await logAudit(env, actor, 'translate', 'content', `${section}.${key}:${lang}`,
+        before && { value: before.value }, value ? { value } : null);
+
+    return jsonResponse({ success: true, removed: !value });
+}
+
+// ===== SCHEDULING =====
+// Drafts and menu items can carry publish_at / unpublish_at (UTC SQL dates).
+// The */15 cron trigger applies whatever is due (see applyScheduledChanges).
+const DAILY_CRON = '0 3 * * *';
+const SCHEDULER_ACTOR = { id: null, email: 'system:scheduler', ip: null };
+
+const CONTENT_COLUMNS = {
+    site_content: { unpublish_at: 'DATETIME' },
+    content_drafts: { publish_at: 'DATETIME', unpublish_at: 'DATETIME' }
+};
+let contentColumnsChecked = false;
+
+async function ensureContentColumns(env) {
+    if (contentColumnsChecked) return true;
     try {
-        const result = await refreshCacheInternal(env);
+        for (const [table, columns] of Object.entries(CONTENT_COLUMNS)) {
+            const tableInfo = await env.hikari_db.prepare(`PRAGMA table_info(${table})`).all();
+            const existing = tableInfo.results.map(col => col.name);
+
+            for (const [column, definition] of Object.entries(columns)) {
+                if (existing.includes(column)) continue;
+                await env.hikari_db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+                console.log(`📊 Added ${column} column to ${table}`);
+            }
+        }
+        contentColumnsChecked = true;
+        return true;
+    } catch (e) {
+        console.error('Migration error:', e);
+        return false;
+    }
+}
 
-        // Also warm image CDN cache
-        const imageCount = await warmImageCache(env, result.menu, result.content);
+// Validate dates sent by the admin (ISO strings, '' / null = none).
+// A publish date in the past means "now"; returns SQL dates.
+function parseSchedule(publishAt, unpublishAt) {
+    const now = Date.now();
+    const publishMs = publishAt ? Date.parse(publishAt) : null;
+    const unpublishMs = unpublishAt ? Date.parse(unpublishAt) : null;
 
-        return jsonResponse({
-            success: true,
-            message: 'Cache refreshed',
-            lastUpdate: await env.hikari_cache.get(CACHE_KEYS.LAST_UPDATE),
-            stats: {
-                contentSections: Object.keys(result.content).length,
-                menuItems: result.menu.length,
-                settingsKeys: Object.keys(result.settings).length,
-                imagesWarmed: imageCount
+    if (Number.isNaN(publishMs) || Number.isNaN(unpublishMs)) {
+        return { error: 'Invalid date' };
+    }
+    if (unpublishMs !== null && unpublishMs <= Math.max(now, publishMs || 0)) {
+        return { error: 'Unpublish date must be after the publish date and in the future' };
+    }
+
+    return {
+        publishAt: publishMs && publishMs > now ? toSqlDate(publishMs) : null,
+        unpublishAt: unpublishMs ? toSqlDate(unpublishMs) : null
+    };
+}
+
+// Cron: publish due drafts, revert expired content, show/hide menu items
+async function applyScheduledChanges(env) {
+    await ensureContentColumns(env);
+    await ensureMenuItemColumns(env);
+    const now = toSqlDate(Date.now());
+    const applied = { published: 0, reverted: 0, menuShown: 0, menuHidden: 0 };
+
+    const { results: due } = await env.hikari_db.prepare(
+        'SELECT * FROM content_drafts WHERE publish_at IS NOT NULL AND publish_at <= ? ORDER BY section, key'
+    ).bind(now).all();
+    if (due.length > 0) {
+        await publishDrafts(env, SCHEDULER_ACTOR, due);
+        applied.published = due.length;
+    }
+
+    const { results: expired } = await env.hikari_db.prepare(
+        'SELECT section, key, value, type, updated_at FROM site_content WHERE unpublish_at IS NOT NULL AND unpublish_at <= ?'
+    ).bind(now).all();
+    for (const field of expired) {
+        await revertExpiredContent(env, field);
+        applied.reverted++;
+    }
+
+    const { results: toShow } = await env.hikari_db.prepare(
+        'SELECT id, name FROM menu_items WHERE publish_at IS NOT NULL AND publish_at <= ?'
+    ).bind(now).all();
+    for (const item of toShow) {
+        await env.hikari_db.prepare(
+            'UPDATE menu_items SET is_active = 1, publish_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+        ).bind(item.id).run();
+        await logAudit(env, SCHEDULER_ACTOR, 'publish', 'menu', item.id, null, { name: item.name, is_active: 1 });
+    }
+    applied.menuShown = toShow.length;
+
+    const { results: toHide } = await env.hikari_db.prepare(
+        'SELECT id, name FROM menu_items WHERE unpublish_at IS NOT NULL AND unpublish_at <= ?'
+    ).bind(now).all();
+    for (const item of toHide) {
+        await env.hikari_db.prepare(
+            'UPDATE menu_items SET is_active = 0, unpublish_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+        ).bind(item.id).run();
+        await logAudit(env, SCHEDULER_ACTOR, 'unpublish', 'menu', item.id, null, { name: item.name, is_active: 0 });
+    }
+    applied.menuHidden = toHide.length;
+
+    // publishDrafts already rebuilt the cache if it was the only change
+    if (applied.reverted + applied.menuShown + applied.menuHidden > 0) {
+        await refreshCacheInternal(env);
+    }
+
+    return applied;
+}
+
+// Put back the revision that was live before the expiring one (or remove a field that didn't exist)
+async function revertExpiredContent(env, field) {
+    const { section, key } = field;
+    const previous = await env.hikari_db.prepare(`
+        SELECT * FROM content_revisions
+        WHERE section = ? AND key = ?
+        AND id < (SELECT MAX(id) FROM content_revisions WHERE section = ? AND key = ?)
+        ORDER BY id DESC
+        LIMIT 1
+    `).bind(section, key, section, key).first();
+
+    if (previous) {
+        await env.hikari_db.batch([
+            contentUpsertStatement(env, section, key, previous.value, previous.type),
+            ...contentRevisionStatements(env, SCHEDULER_ACTOR, section, key, previous.value, previous.type, field, previous.id)
+        ]);
+    } else {
+        await env.hikari_db.prepare(
+            'DELETE FROM site_content WHERE section = ? AND key = ?'
+        ).bind(section, key).run();
+    }
+
+    console.log(`⏰ ${section}.${key} expired - ${previous ? `reverted to revision #${previous.id}` : 'removed'}`);
+    await logAudit(env, SCHEDULER_ACTOR, 'unpublish', 'content', `${section}.${key}`,
+        { value: field.value, type: field.type }, previous && { value: previous.value, type: previous.type });
+}
+
+// ===== MENU HANDLERS =====
+
+// includeInactive: admin view (hidden and scheduled items too)
+// Public requests get name/description in ?lang= (French fallback); the admin gets every column
+async function getMenuItems(request, env, useCache = false, includeInactive = false) {
+    const url = new URL(request.url);
+    const category = url.searchParams.get('category');
+    const forceRefresh = url.searchParams.get('refresh') === '1';
+    const lang = getRequestLang(url);
+
+    // Try to get from KV cache first (for public requests without category filter)
+    if (useCache && !forceRefresh && (!category || category === 'all')) {
+        try {
+            const cached = await env.hikari_cache.get(langCacheKey(CACHE_KEYS.MENU, lang));
+            if (cached) {
+                console.log(`📦 Serving menu from cache (${lang})`);
+                return jsonResponse({ success: true, items: JSON.parse(cached), lang, cached: true }, 200, true);
             }
-        });
-    } catch (error) {
-        return errorResponse('Cache refresh failed: ' + error.message, 500);
+        } catch (e) {
+            console.log('Cache miss, falling back to D1');
+        }
+    }
+
+    // If force refresh, also update cache
+    if (forceRefresh) {
+        console.log('🔄 Force refresh requested');
+        await refreshCacheInternal(env);
+    }
+
+    let query = includeInactive ? 'SELECT * FROM menu_items WHERE 1 = 1' : 'SELECT * FROM menu_items WHERE is_active = 1';
+    let params = [];
+
+    if (category && category !== 'all') {
+        query += ' AND category = ?';
+        params.push(category);
+    }
+
+    query += ' ORDER BY category, display_order';
+
+    const result = await env.hikari_db.prepare(query).bind(...params).all();
+    if (includeInactive) {
+        return jsonResponse({ success: true, items: result.results }, 200, useCache);
+    }
+    const items = result.results.map(item => localizeMenuItem(item, lang));
+    return jsonResponse({ success: true, items, lang }, 200, useCache);
+}
+
+// Columns added to menu_items after the first deploy
+const MENU_ITEM_COLUMNS = {
+    thumbnail: 'TEXT',
+    publish_at: 'DATETIME',
+    unpublish_at: 'DATETIME',
+    name_en: 'TEXT',
+    name_ja: 'TEXT',
+    description_en: 'TEXT',
+    description_ja: 'TEXT'
+};
+let menuItemColumnsChecked = false;
+
+async function ensureMenuItemColumns(env) {
+    if (menuItemColumnsChecked) return true;
+    try {
+        const tableInfo = await env.hikari_db.prepare('PRAGMA table_info(menu_items)').all();
+        const existing = tableInfo.results.map(col => col.name);
+
+        for (const [column, definition] of Object.entries(MENU_ITEM_COLUMNS)) {
+            if (existing.includes(column)) continue;
+            await env.hikari_db.prepare(`ALTER TABLE menu_items ADD COLUMN ${column} ${definition}`).run();
+            console.log(`📊 Added ${column} column to menu_items`);
+        }
+        menuItemColumnsChecked = true;
+        return true;
+    } catch (e) {
+        console.error('Migration error:', e);
+        return false;
     }
 }
 
-// ===== AUTH HANDLERS =====
+async function createMenuItem(request, env, actor) {
+    const data = await request.json();
+
+    await ensureMenuItemColumns(env);
+
+    const schedule = parseSchedule(data.publish_at, data.unpublish_at);
+    if (schedule.error) {
+        return errorResponse(schedule.error);
+    }
+    // A future publish date keeps the item hidden until the cron shows it
+    const isActive = schedule.publishAt ? 0 : (data.is_active ?? 1);
+
+    const result = await env.hikari_db.prepare(`
+        INSERT INTO menu_items (name, description, price, category, image, thumbnail, badge, display_order,
+            is_active, publish_at, unpublish_at, name_en, name_ja, description_en, description_ja)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        data.name, data.description, data.price, data.category,
+        data.image, data.thumbnail || null, data.badge, data.display_order || 0,
+        isActive, schedule.publishAt, schedule.unpublishAt,
+        data.name_en || null, data.name_ja || null, data.description_en || null, data.description_ja || null
+    ).run();
+
+    // Invalidate menu cache after create
+    await invalidateLangCache(env, CACHE_KEYS.MENU);
+    console.log('🗑️ Menu cache invalidated');
 
-async function handleLogin(request, env) {
-    const { email, password } = await request.json();
+    const created = await env.hikari_db.prepare('SELECT * FROM menu_items WHERE id = ?')
+        .bind(result.meta.last_row_id).first();
+    await logAudit(env, actor, 'create', 'menu', result.meta.last_row_id, null, created);
 
-    if (!email || !password) {
-        return errorResponse('Email and password required');
-    }
+    return jsonResponse({ success: true, id: result.meta.last_row_id });
+}
 
-    const passwordHash = await hashPassword(password);
+async function updateMenuItem(request, env, id, actor) {
+    const data = await request.json();
 
-    const user = await env.hikari_db.prepare(
-        'SELECT * FROM admin_users WHERE email = ? AND password_hash = ?'
-    ).bind(email, passwordHash).first();
+    await ensureMenuItemColumns(env);
 
-    if (!user) {
-        return errorResponse('Invalid credentials', 401);
+    const before = await env.hikari_db.prepare('SELECT * FROM menu_items WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Menu item not found', 404);
     }
+    // Translations, thumbnail and schedule left out of the body keep their current value
+    const kept = column => column in data ? data[column] || null : before[column];
+
+    const schedule = 'publish_at' in data || 'unpublish_at' in data
+        ? parseSchedule(data.publish_at, data.unpublish_at)
+        : { publishAt: before.publish_at, unpublishAt: before.unpublish_at };
+    if (schedule.error) {
+        return errorResponse(schedule.error);
+    }
+    // A future publish date keeps the item hidden until the cron shows it
+    const isActive = schedule.publishAt ? 0 : (data.is_active ?? 1);
 
-    // Check if 2FA is enabled
-    if (user.totp_secret && user.totp_enabled) {
-        // Return a temporary token for 2FA verification
-        const tempToken = 'pending-2fa-' + generateToken();
-        const expiresAt = new Date(Date.now() + 5 * 60 * 1000).toISOString(); // 5 minutes
+    await env.hikari_db.prepare(`
+        UPDATE menu_items SET
+        name = ?, description = ?, price = ?, category = ?,
+        image = ?, thumbnail = ?, badge = ?, display_order = ?, is_active = ?,
+        publish_at = ?, unpublish_at = ?,
+        name_en = ?, name_ja = ?, description_en = ?, description_ja = ?,
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(
+        data.name, data.description, data.price, data.category,
+        data.image, kept('thumbnail'), data.badge, data.display_order || 0, isActive,
+        schedule.publishAt, schedule.unpublishAt,
+        kept('name_en'), kept('name_ja'), kept('description_en'), kept('description_ja'), id
+    ).run();
 
-        await env.hikari_db.prepare(
-            'INSERT INTO sessions (user_id, token, expires_at) VALUES (?, ?, ?)'
-        ).bind(user.id, tempToken, expiresAt).run();
+    // Invalidate menu cache after update (linked specialties show menu data too)
+    await invalidateLangCache(env, CACHE_KEYS.MENU);
+    await invalidateSpecialtiesCache(env);
+    console.log('🗑️ Menu cache invalidated');
 
-        return jsonResponse({
-            success: true,
-            requires2FA: true,
-            tempToken,
-            message: 'Please enter your 2FA code'
-        });
+    const after = await env.hikari_db.prepare('SELECT * FROM menu_items WHERE id = ?').bind(id).first();
+    await logAudit(env, actor, 'update', 'menu', id, before, after);
+
+    return jsonResponse({ success: true });
+}
+
+// Body: { thumbnail } - used by the thumbnail migration tool, leaves the rest of the item alone
+async function updateMenuItemThumbnail(request, env, id, actor) {
+    const { thumbnail } = await request.json();
+    if (typeof thumbnail !== 'string' || thumbnail.length > CONTENT_IMAGE_MAX || !IMAGE_URL_PATTERN.test(thumbnail)) {
+        return errorResponse('thumbnail must be an image URL');
     }
 
-    // No 2FA - create full session
-    const token = generateToken();
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // 7 days
+    await ensureMenuItemColumns(env);
+    const before = await env.hikari_db.prepare('SELECT * FROM menu_items WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Menu item not found', 404);
+    }
 
     await env.hikari_db.prepare(
-        'INSERT INTO sessions (user_id, token, expires_at) VALUES (?, ?, ?)'
-    ).bind(user.id, token, expiresAt).run();
+        'UPDATE menu_items SET thumbnail = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(thumbnail, id).run();
 
-    // Update last login
-    await env.hikari_db.prepare(
-        'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?'
-    ).bind(user.id).run();
+    await invalidateLangCache(env, CACHE_KEYS.MENU);
+    console.log('🗑️ Menu cache invalidated');
 
-    return jsonResponse({
-        success: true,
-        token,
-        user: { id: user.id, email: user.email, name: user.name }
-    });
-}
+    await logAudit(env, actor, 'update', 'menu', id, { thumbnail: before.thumbnail }, { thumbnail });
 
-// Verify 2FA code during login
-async function verify2FALogin(request, env) {
-    const { tempToken, code } = await request.json();
+    return jsonResponse({ success: true });
+}
 
-    if (!tempToken || !code) {
-        return errorResponse('Token and code required');
+async function deleteMenuItem(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM menu_items WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Menu item not found', 404);
     }
+    await env.hikari_db.batch([
+        unlinkSpecialtiesStatement(env, id),
+        env.hikari_db.prepare('DELETE FROM menu_items WHERE id = ?').bind(id)
+    ]);
+
+    // Invalidate menu cache after delete (linked specialties show menu data too)
+    await invalidateLangCache(env, CACHE_KEYS.MENU);
+    await invalidateSpecialtiesCache(env);
+    console.log('🗑️ Menu cache invalidated');
 
-    // Verify temp token is valid pending-2fa token
-    if (!tempToken.startsWith('pending-2fa-')) {
-        return errorResponse('Invalid token', 401);
-    }
+    await logAudit(env, actor, 'delete', 'menu', id, before);
 
-    const session = await env.hikari_db.prepare(`
-        SELECT s.*, u.id as user_id, u.email, u.name, u.totp_secret
-        FROM sessions s 
-        JOIN admin_users u ON s.user_id = u.id 
-        WHERE s.token = ? AND s.expires_at > datetime('now')
-    `).bind(tempToken).first();
+    return jsonResponse({ success: true });
+}
 
-    if (!session) {
-        return errorResponse('Session expired, please login again', 401);
-    }
+// ===== RESERVATIONS HANDLERS =====
 
-    // Verify TOTP code
-    const isValid = await verifyTOTP(session.totp_secret, code);
-    if (!isValid) {
-        return errorResponse('Invalid 2FA code', 401);
-    }
+async function createReservation(request, env) {
+    const data = await request.json();
 
-    // Delete temp session
-    await env.hikari_db.prepare('DELETE FROM sessions WHERE token = ?').bind(tempToken).run();
+    const result = await env.hikari_db.prepare(`
+        INSERT INTO reservations (name, phone, email, guests, date, time, message)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        data.name, data.phone, data.email, data.guests,
+        data.date, data.time, data.message || ''
+    ).run();
 
-    // Create full session
-    const token = generateToken();
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    return jsonResponse({ success: true, id: result.meta.last_row_id });
+}
 
-    await env.hikari_db.prepare(
-        'INSERT INTO sessions (user_id, token, expires_at) VALUES (?, ?, ?)'
-    ).bind(session.user_id, token, expiresAt).run();
+async function getAllReservations(request, env) {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const date = url.searchParams.get('date');
 
-    // Update last login
-    await env.hikari_db.prepare(
-        'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?'
-    ).bind(session.user_id).run();
+    let query = 'SELECT * FROM reservations WHERE 1=1';
+    let params = [];
 
-    return jsonResponse({
-        success: true,
-        token,
-        user: { id: session.user_id, email: session.email, name: session.name }
-    });
+    if (status && status !== 'all') {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+    if (date) {
+        query += ' AND date = ?';
+        params.push(date);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await env.hikari_db.prepare(query).bind(...params).all();
+    return jsonResponse({ success: true, items: result.results });
 }
 
-async function handleLogout(request, env) {
-    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+async function updateReservation(request, env, id, actor) {
+    const { status } = await request.json();
 
-    if (token) {
-        await env.hikari_db.prepare('DELETE FROM sessions WHERE token = ?').bind(token).run();
+    const before = await env.hikari_db.prepare('SELECT * FROM reservations WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Reservation not found', 404);
     }
 
+    await env.hikari_db.prepare(`
+        UPDATE reservations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(status, id).run();
+
+    await logAudit(env, actor, 'update', 'reservation', id, before, { ...before, status });
+
     return jsonResponse({ success: true });
 }
 
-async function verifySession(request, env) {
-    const result = await checkAuth(request, env);
-    return jsonResponse({ valid: result.valid, user: result.user || null });
+async function deleteReservation(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM reservations WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Reservation not found', 404);
+    }
+    await env.hikari_db.prepare('DELETE FROM reservations WHERE id = ?').bind(id).run();
+    await logAudit(env, actor, 'delete', 'reservation', id, before);
+    return jsonResponse({ success: true });
 }
 
-async function checkAuth(request, env) {
-    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+// ===== GALLERY HANDLERS =====
+// Photos of the public gallery, sorted into albums and shown a page at a time.
+// Hidden ones (is_active = 0) stay in the admin list.
+const GALLERY_ALBUMS = ['plats', 'salle', 'equipe'];
+const GALLERY_CAPTION_MAX = 200;
+const GALLERY_PAGE_SIZE = 12;
+const GALLERY_PAGE_SIZE_MAX = 48;
+
+// Columns added after the gallery table was first created
+const GALLERY_COLUMNS = {
+    caption: 'TEXT',
+    album: "TEXT DEFAULT 'plats'",
+    updated_at: 'DATETIME'
+};
+let galleryColumnsChecked = false;
 
-    if (!token) {
-        return { valid: false };
+async function ensureGalleryColumns(env) {
+    if (galleryColumnsChecked) return true;
+    try {
+        const tableInfo = await env.hikari_db.prepare('PRAGMA table_info(gallery)').all();
+        const existing = tableInfo.results.map(col => col.name);
+
+        for (const [column, definition] of Object.entries(GALLERY_COLUMNS)) {
+            if (existing.includes(column)) continue;
+            await env.hikari_db.prepare(`ALTER TABLE gallery ADD COLUMN ${column} ${definition}`).run();
+            console.log(`📊 Added ${column} column to gallery`);
+        }
+        // title is the old name of caption (schema.sql seeds still write it): move it over
+        await env.hikari_db.prepare(
+            'UPDATE gallery SET caption = COALESCE(caption, title), title = NULL WHERE title IS NOT NULL'
+        ).run();
+        galleryColumnsChecked = true;
+        return true;
+    } catch (e) {
+        console.error('Migration error:', e);
+        return false;
     }
+}
 
-    const session = await env.hikari_db.prepare(`
-        SELECT s.*, u.email, u.name 
-        FROM sessions s 
-        JOIN admin_users u ON s.user_id = u.id 
-        WHERE s.token = ? AND s.expires_at > datetime('now')
-    `).bind(token).first();
+// Checks and normalizes a create/update body -> { values } or { error }
+function parseGalleryItem(data) {
+    const imageUrl = typeof data.image_url === 'string' ? data.image_url.trim() : '';
+    if (!imageUrl || imageUrl.length > CONTENT_IMAGE_MAX || !IMAGE_URL_PATTERN.test(imageUrl)) {
+        return { error: 'image_url must be an image URL' };
+    }
+    const thumbnailUrl = typeof data.thumbnail_url === 'string' ? data.thumbnail_url.trim() : '';
+    if (thumbnailUrl && (thumbnailUrl.length > CONTENT_IMAGE_MAX || !IMAGE_URL_PATTERN.test(thumbnailUrl))) {
+        return { error: 'thumbnail_url must be an image URL' };
+    }
 
-    if (!session) {
-        return { valid: false };
+    const caption = typeof data.caption === 'string' ? data.caption.trim() : '';
+    if (caption.length > GALLERY_CAPTION_MAX) {
+        return { error: `caption must be at most ${GALLERY_CAPTION_MAX} characters` };
+    }
+
+    const album = data.album || GALLERY_ALBUMS[0];
+    if (!GALLERY_ALBUMS.includes(album)) {
+        return { error: `album must be one of: ${GALLERY_ALBUMS.join(', ')}` };
     }
 
     return {
-        valid: true,
-        user: { id: session.user_id, email: session.email, name: session.name }
+        values: {
+            image_url: imageUrl,
+            thumbnail_url: thumbnailUrl || null,
+            caption: caption || null,
+            album,
+            is_active: data.is_active === false || data.is_active === 0 ? 0 : 1
+        }
     };
 }
 
-async function createAdmin(request, env) {
-    const { email, password, name, secret } = await request.json();
+const GALLERY_WRITE_COLUMNS = ['image_url', 'thumbnail_url', 'caption', 'album', 'is_active'];
 
-    // Simple secret key protection for creating admin
-    if (secret !== 'hikari-admin-2024') {
-        return errorResponse('Invalid secret', 403);
-    }
+async function invalidateGalleryCache(env) {
+    await env.hikari_cache.delete(CACHE_KEYS.GALLERY);
+    console.log('🗑️ Gallery cache invalidated');
+}
 
-    if (!email || !password) {
-        return errorResponse('Email and password required');
-    }
+// Public photos in display order (every album; pages are cut per request)
+async function loadVisibleGallery(env) {
+    await ensureGalleryColumns(env);
+    const { results } = await env.hikari_db.prepare(`
+        SELECT id, image_url, thumbnail_url, caption, album FROM gallery
+        WHERE is_active = 1
+        ORDER BY display_order, id
+    `).all();
+    return results;
+}
 
-    const passwordHash = await hashPassword(password);
+// GET /api/gallery?album=salle&page=2&limit=12
+async function getGallery(request, env) {
+    const url = new URL(request.url);
+    const album = url.searchParams.get('album');
+    if (album && !GALLERY_ALBUMS.includes(album)) {
+        return errorResponse(`album must be one of: ${GALLERY_ALBUMS.join(', ')}`);
+    }
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || GALLERY_PAGE_SIZE, 1), GALLERY_PAGE_SIZE_MAX);
 
+    let photos = null;
+    let cached = false;
     try {
-        await env.hikari_db.prepare(
-            'INSERT INTO admin_users (email, password_hash, name) VALUES (?, ?, ?)'
-        ).bind(email, passwordHash, name || 'Admin').run();
-
-        return jsonResponse({ success: true, message: 'Admin created' });
+        const entry = await env.hikari_cache.get(CACHE_KEYS.GALLERY);
+        if (entry) {
+            photos = JSON.parse(entry);
+            cached = true;
+            console.log('📦 Serving gallery from cache');
+        }
     } catch (e) {
-        return errorResponse('Email already exists', 400);
+        console.log('Cache miss, falling back to D1');
     }
-}
-
-// ===== 2FA SETUP HANDLERS =====
+    if (!photos) photos = await loadVisibleGallery(env);
 
-// Get 2FA status for current user
-async function get2FAStatus(request, env) {
-    const auth = await checkAuth(request, env);
-    if (!auth.valid) {
-        return errorResponse('Unauthorized', 401);
-    }
+    // Non-empty albums, for the filter buttons
+    const albums = GALLERY_ALBUMS
+        .map(key => ({ key, count: photos.filter(photo => photo.album === key).length }))
+        .filter(entry => entry.count > 0);
 
-    const user = await env.hikari_db.prepare(
-        'SELECT totp_enabled FROM admin_users WHERE id = ?'
-    ).bind(auth.user.id).first();
+    const matching = album ? photos.filter(photo => photo.album === album) : photos;
+    const pages = Math.max(Math.ceil(matching.length / limit), 1);
+    const page = Math.min(Math.max(parseInt(url.searchParams.get('page')) || 1, 1), pages);
 
     return jsonResponse({
         success: true,
-        enabled: user?.totp_enabled === 1
-    });
+        items: matching.slice((page - 1) * limit, page * limit),
+        album: album || null,
+        albums,
+        page,
+        pages,
+        limit,
+        total: matching.length,
+        ...(cached && { cached })
+    }, 200, true);
 }
 
-// Start 2FA setup - generate secret and QR data
-async function setup2FA(request, env) {
-    const auth = await checkAuth(request, env);
-    if (!auth.valid) {
-        return errorResponse('Unauthorized', 401);
+// Admin: hidden photos too
+async function getAllGallery(env) {
+    await ensureGalleryColumns(env);
+    const { results } = await env.hikari_db.prepare(
+        'SELECT * FROM gallery ORDER BY display_order, id'
+    ).all();
+    return jsonResponse({ success: true, items: results, albums: GALLERY_ALBUMS });
+}
+
+async function createGalleryItem(request, env, actor) {
+    await ensureGalleryColumns(env);
+    const parsed = parseGalleryItem(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
     }
+    const values = parsed.values;
 
-    // Generate new secret
-    const secret = generate2FASecret();
+    // New photos go after the existing ones
+    const result = await env.hikari_db.prepare(`
+        INSERT INTO gallery (${GALLERY_WRITE_COLUMNS.join(', ')}, display_order, updated_at)
+        VALUES (${GALLERY_WRITE_COLUMNS.map(() => '?').join(', ')}, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM gallery), CURRENT_TIMESTAMP)
+    `).bind(...GALLERY_WRITE_COLUMNS.map(column => values[column])).run();
 
-    // Store pending secret (not enabled yet)
-    await env.hikari_db.prepare(
-        'UPDATE admin_users SET totp_secret = ?, totp_enabled = 0 WHERE id = ?'
-    ).bind(secret, auth.user.id).run();
+    await invalidateGalleryCache(env);
 
-    // Generate otpauth URL for QR code
-    const otpauthUrl = `otpauth://totp/HIKARI:${encodeURIComponent(auth.user.email)}?secret=${secret}&issuer=HIKARI&algorithm=SHA1&digits=6&period=30`;
+    const created = await env.hikari_db.prepare('SELECT * FROM gallery WHERE id = ?')
+        .bind(result.meta.last_row_id).first();
+    await logAudit(env, actor, 'create', 'gallery', result.meta.last_row_id, null, created);
 
-    return jsonResponse({
-        success: true,
-        secret,
-        otpauthUrl,
-        qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(otpauthUrl)}`
-    });
+    return jsonResponse({ success: true, id: result.meta.last_row_id, item: created });
 }
 
-// Verify 2FA setup with a code from authenticator app
-async function verify2FASetup(request, env) {
-    const auth = await checkAuth(request, env);
-    if (!auth.valid) {
-        return errorResponse('Unauthorized', 401);
+async function updateGalleryItem(request, env, id, actor) {
+    await ensureGalleryColumns(env);
+    const before = await env.hikari_db.prepare('SELECT * FROM gallery WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Gallery item not found', 404);
     }
 
-    const { code } = await request.json();
-    if (!code) {
-        return errorResponse('Code required');
+    const parsed = parseGalleryItem(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
     }
+    const values = parsed.values;
 
-    // Get user's pending secret
-    const user = await env.hikari_db.prepare(
-        'SELECT totp_secret FROM admin_users WHERE id = ?'
-    ).bind(auth.user.id).first();
-
-    if (!user?.totp_secret) {
-        return errorResponse('Please start 2FA setup first');
-    }
+    await env.hikari_db.prepare(`
+        UPDATE gallery SET ${GALLERY_WRITE_COLUMNS.map(column => `${column} = ?`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(...GALLERY_WRITE_COLUMNS.map(column => values[column]), id).run();
 
-    // Verify code
-    const isValid = await verifyTOTP(user.totp_secret, code);
-    if (!isValid) {
-        return errorResponse('Invalid code. Please try again.');
-    }
+    await invalidateGalleryCache(env);
 
-    // Enable 2FA
-    await env.hikari_db.prepare(
-        'UPDATE admin_users SET totp_enabled = 1 WHERE id = ?'
-    ).bind(auth.user.id).run();
+    const after = await env.hikari_db.prepare('SELECT * FROM gallery WHERE id = ?').bind(id).first();
+    await logAudit(env, actor, 'update', 'gallery', id, before, after);
 
-    return jsonResponse({
-        success: true,
-        message: '2FA enabled successfully'
-    });
+    return jsonResponse({ success: true });
 }
 
-// Disable 2FA
-async function disable2FA(request, env) {
-    const auth = await checkAuth(request, env);
-    if (!auth.valid) {
-        return errorResponse('Unauthorized', 401);
+// Body: { ids: [...] } - some or all photos in their new order. The listed photos swap
+// among the places they already hold, so reordering one album leaves the others alone.
+async function reorderGallery(request, env, actor) {
+    const { ids } = await request.json();
+
+    const current = await env.hikari_db.prepare(
+        'SELECT id FROM gallery ORDER BY display_order, id'
+    ).all();
+    const before = current.results.map(row => row.id);
+
+    const order = Array.isArray(ids) ? ids.map(Number) : [];
+    const valid = order.length > 0
+        && new Set(order).size === order.length
+        && order.every(id => before.includes(id));
+    if (!valid) {
+        return errorResponse('ids must list existing gallery items at most once');
     }
 
-    const { code, password } = await request.json();
+    // Positions held by the listed photos, refilled in the requested order
+    const queue = [...order];
+    const after = before.map(id => order.includes(id) ? queue.shift() : id);
 
-    // Require password verification
-    if (!password) {
-        return errorResponse('Password required');
+    await env.hikari_db.batch(after.map((id, index) =>
+        env.hikari_db.prepare('UPDATE gallery SET display_order = ? WHERE id = ?').bind(index + 1, id)
+    ));
+
+    await invalidateGalleryCache(env);
+    await logAudit(env, actor, 'reorder', 'gallery', null, { order: before }, { order: after });
+
+    return jsonResponse({ success: true });
+}
+
+async function deleteGalleryItem(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM gallery WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Gallery item not found', 404);
     }
+    await env.hikari_db.prepare('DELETE FROM gallery WHERE id = ?').bind(id).run();
 
-    const passwordHash = await hashPassword(password);
-    const user = await env.hikari_db.prepare(
-        'SELECT * FROM admin_users WHERE id = ? AND password_hash = ?'
-    ).bind(auth.user.id, passwordHash).first();
+    await invalidateGalleryCache(env);
+    await logAudit(env, actor, 'delete', 'gallery', id, before);
 
-    if (!user) {
-        return errorResponse('Invalid password');
-    }
+    return jsonResponse({ success: true });
+}
 
-    // If 2FA is enabled, also require current 2FA code
-    if (user.totp_enabled && user.totp_secret) {
-        if (!code) {
-            return errorResponse('2FA code required');
-        }
-        const isValid = await verifyTOTP(user.totp_secret, code);
-        if (!isValid) {
-            return errorResponse('Invalid 2FA code');
-        }
+// ===== TESTIMONIALS HANDLERS =====
+// Customer reviews for the homepage slider. Hidden ones (is_visible = 0) stay in the
+// admin list - that is how a review is held back or withdrawn.
+const TESTIMONIAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Checks and normalizes a create/update body -> { values } or { error }
+function parseTestimonial(data) {
+    const author = typeof data.author === 'string' ? data.author.trim() : '';
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    const photo = typeof data.photo === 'string' ? data.photo.trim() : '';
+    const source = typeof data.source === 'string' ? data.source.trim() : '';
+    const reviewDate = typeof data.review_date === 'string' ? data.review_date.trim() : '';
+    const rating = data.rating === undefined || data.rating === null || data.rating === '' ? 5 : Number(data.rating);
+
+    if (!author || author.length > 80) return { error: 'author is required (max 80 characters)' };
+    if (!text || text.length > 1000) return { error: 'text is required (max 1000 characters)' };
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { error: 'rating must be a whole number between 1 and 5' };
+    if (photo && (photo.length > CONTENT_IMAGE_MAX || !IMAGE_URL_PATTERN.test(photo))) return { error: 'photo must be an image URL' };
+    if (source.length > 60) return { error: 'source must be at most 60 characters' };
+    if (reviewDate && (!TESTIMONIAL_DATE_PATTERN.test(reviewDate) || Number.isNaN(Date.parse(reviewDate)))) {
+        return { error: 'review_date must be a YYYY-MM-DD date' };
     }
 
-    // Disable 2FA
-    await env.hikari_db.prepare(
-        'UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0 WHERE id = ?'
-    ).bind(auth.user.id).run();
-
-    return jsonResponse({
-        success: true,
-        message: '2FA disabled'
-    });
+    return {
+        values: {
+            author,
+            text,
+            photo: photo || null,
+            rating,
+            source: source || null,
+            review_date: reviewDate || null,
+            is_visible: data.is_visible === false || data.is_visible === 0 ? 0 : 1
+        }
+    };
 }
 
-// ===== CONTENT HANDLERS =====
+async function invalidateTestimonialsCache(env) {
+    await env.hikari_cache.delete(CACHE_KEYS.TESTIMONIALS);
+    console.log('🗑️ Testimonials cache invalidated');
+}
 
-async function getContent(request, env, useCache = false) {
-    const url = new URL(request.url);
-    const section = url.searchParams.get('section');
+// Public fields of the visible testimonials, in slider order
+async function loadVisibleTestimonials(env) {
+    const result = await env.hikari_db.prepare(`
+        SELECT id, author, photo, text, rating, source, review_date FROM testimonials
+        WHERE is_visible = 1 ORDER BY display_order, id
+    `).all();
+    return result.results;
+}
 
-    // Try to get from KV cache first (for public requests)
-    if (useCache && !section) {
-        try {
-            const cached = await env.hikari_cache.get(CACHE_KEYS.CONTENT);
-            if (cached) {
-                console.log('📦 Serving content from cache');
-                return jsonResponse({ success: true, content: JSON.parse(cached), cached: true }, 200, true);
-            }
-        } catch (e) {
-            console.log('Cache miss, falling back to D1');
+async function getTestimonials(env) {
+    try {
+        const cached = await env.hikari_cache.get(CACHE_KEYS.TESTIMONIALS);
+        if (cached) {
+            console.log('📦 Serving testimonials from cache');
+            return jsonResponse({ success: true, items: JSON.parse(cached), cached: true }, 200, true);
         }
+    } catch (e) {
+        console.log('Cache miss, falling back to D1');
     }
 
-    let query = 'SELECT * FROM site_content';
-    let params = [];
+    return jsonResponse({ success: true, items: await loadVisibleTestimonials(env) }, 200, true);
+}
 
-    if (section) {
-        query += ' WHERE section = ?';
-        params.push(section);
+async function getAllTestimonials(env) {
+    const result = await env.hikari_db.prepare(
+        'SELECT * FROM testimonials ORDER BY display_order, id'
+    ).all();
+    return jsonResponse({ success: true, items: result.results });
+}
+
+async function createTestimonial(request, env, actor) {
+    const parsed = parseTestimonial(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
     }
+    const t = parsed.values;
 
-    const result = await env.hikari_db.prepare(query).bind(...params).all();
+    // New testimonials go to the end of the slider
+    const result = await env.hikari_db.prepare(`
+        INSERT INTO testimonials (author, photo, text, rating, source, review_date, is_visible, display_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM testimonials))
+    `).bind(t.author, t.photo, t.text, t.rating, t.source, t.review_date, t.is_visible).run();
 
-    // Convert to object format
-    const content = {};
-    result.results.forEach(row => {
-        if (!content[row.section]) content[row.section] = {};
-        content[row.section][row.key] = row.type === 'json' ? JSON.parse(row.value) : row.value;
-    });
+    await invalidateTestimonialsCache(env);
 
-    return jsonResponse({ success: true, content }, 200, useCache);
-}
+    const created = await env.hikari_db.prepare('SELECT * FROM testimonials WHERE id = ?')
+        .bind(result.meta.last_row_id).first();
+    await logAudit(env, actor, 'create', 'testimonial', result.meta.last_row_id, null, created);
 
-async function getAllContent(env) {
-    const result = await env.hikari_db.prepare('SELECT * FROM site_content ORDER BY section, key').all();
-    return jsonResponse({ success: true, items: result.results });
+    return jsonResponse({ success: true, id: result.meta.last_row_id, item: created });
 }
 
-async function updateContent(request, env) {
-    const { section, key, value, type } = await request.json();
+async function updateTestimonial(request, env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM testimonials WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Testimonial not found', 404);
+    }
+
+    const parsed = parseTestimonial(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
+    }
+    const t = parsed.values;
 
     await env.hikari_db.prepare(`
-        INSERT INTO site_content (section, key, value, type, updated_at) 
-        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(section, key) DO UPDATE SET 
-        value = excluded.value, 
-        type = excluded.type,
+        UPDATE testimonials SET
+        author = ?, photo = ?, text = ?, rating = ?, source = ?, review_date = ?, is_visible = ?,
         updated_at = CURRENT_TIMESTAMP
-    `).bind(section, key, value, type || 'text').run();
+        WHERE id = ?
+    `).bind(t.author, t.photo, t.text, t.rating, t.source, t.review_date, t.is_visible, id).run();
+
+    await invalidateTestimonialsCache(env);
+
+    const after = await env.hikari_db.prepare('SELECT * FROM testimonials WHERE id = ?').bind(id).first();
+    await logAudit(env, actor, 'update', 'testimonial', id, before, after);
+
+    return jsonResponse({ success: true, item: after });
+}
+
+// Body: { ids: [...] } - every testimonial once, in the new slider order
+async function reorderTestimonials(request, env, actor) {
+    const { ids } = await request.json();
+
+    const current = await env.hikari_db.prepare(
+        'SELECT id FROM testimonials ORDER BY display_order, id'
+    ).all();
+    const before = current.results.map(row => row.id);
+
+    const order = Array.isArray(ids) ? ids.map(Number) : [];
+    const sameSet = order.length === before.length
+        && new Set(order).size === order.length
+        && order.every(id => before.includes(id));
+    if (!sameSet) {
+        return errorResponse('ids must list every testimonial exactly once');
+    }
+
+    await env.hikari_db.batch(order.map((id, index) =>
+        env.hikari_db.prepare('UPDATE testimonials SET display_order = ? WHERE id = ?').bind(index + 1, id)
+    ));
 
-    // Invalidate content cache after update
-    await env.hikari_cache.delete(CACHE_KEYS.CONTENT);
-    console.log('🗑️ Content cache invalidated');
+    await invalidateTestimonialsCache(env);
+    await logAudit(env, actor, 'reorder', 'testimonial', null, { order: before }, { order });
 
     return jsonResponse({ success: true });
 }
 
-// ===== MENU HANDLERS =====
+async function deleteTestimonial(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM testimonials WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Testimonial not found', 404);
+    }
+    await env.hikari_db.prepare('DELETE FROM testimonials WHERE id = ?').bind(id).run();
 
-async function getMenuItems(request, env, useCache = false) {
-    const url = new URL(request.url);
-    const category = url.searchParams.get('category');
-    const forceRefresh = url.searchParams.get('refresh') === '1';
+    await invalidateTestimonialsCache(env);
+    await logAudit(env, actor, 'delete', 'testimonial', id, before);
 
-    // Try to get from KV cache first (for public requests without category filter)
-    if (useCache && !forceRefresh && (!category || category === 'all')) {
-        try {
-            const cached = await env.hikari_cache.get(CACHE_KEYS.MENU);
-            if (cached) {
-                console.log('📦 Serving menu from cache');
-                return jsonResponse({ success: true, items: JSON.parse(cached), cached: true }, 200, true);
-            }
-        } catch (e) {
-            console.log('Cache miss, falling back to D1');
+    return jsonResponse({ success: true });
+}
+
+// ===== SPECIALTIES HANDLERS =====
+// Featured dishes shown as cards above the menu. A specialty linked to a menu item
+// (menu_item_id) takes its name, price and image from it, so editing the dish updates
+// the card; its own tag and description (and name/image/price when unlinked) are kept
+// here. A card whose dish is hidden from the menu is hidden too.
+const SPECIALTY_FIELD_LIMITS = { tag: 40, name: 120, description: 500 };
+
+// Checks and normalizes a create/update body -> { values } or { error }
+function parseSpecialty(data) {
+    const values = {};
+    for (const [field, max] of Object.entries(SPECIALTY_FIELD_LIMITS)) {
+        for (const lang of SUPPORTED_LANGS) {
+            const column = lang === DEFAULT_LANG ? field : `${field}_${lang}`;
+            const value = typeof data[column] === 'string' ? data[column].trim() : '';
+            if (value.length > max) return { error: `${column} must be at most ${max} characters` };
+            values[column] = value || null;
         }
     }
 
-    // If force refresh, also update cache
-    if (forceRefresh) {
-        console.log('🔄 Force refresh requested');
-        await refreshCacheInternal(env);
+    const menuItemId = data.menu_item_id === undefined || data.menu_item_id === null || data.menu_item_id === ''
+        ? null : Number(data.menu_item_id);
+    if (menuItemId !== null && (!Number.isInteger(menuItemId) || menuItemId < 1)) {
+        return { error: 'menu_item_id must be a menu item id' };
+    }
+    if (menuItemId === null && !values.name) {
+        return { error: 'name is required unless the specialty is linked to a menu item' };
     }
 
-    let query = 'SELECT * FROM menu_items WHERE is_active = 1';
-    let params = [];
+    const image = typeof data.image === 'string' ? data.image.trim() : '';
+    if (image && (image.length > CONTENT_IMAGE_MAX || !IMAGE_URL_PATTERN.test(image))) {
+        return { error: 'image must be an image URL' };
+    }
 
-    if (category && category !== 'all') {
-        query += ' AND category = ?';
-        params.push(category);
+    const price = data.price === undefined || data.price === null || data.price === '' ? null : Number(data.price);
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+        return { error: 'price must be a positive number' };
     }
 
-    query += ' ORDER BY category, display_order';
+    return {
+        values: {
+            ...values,
+            menu_item_id: menuItemId,
+            image: image || null,
+            price,
+            is_active: data.is_active === false || data.is_active === 0 ? 0 : 1
+        }
+    };
+}
 
-    const result = await env.hikari_db.prepare(query).bind(...params).all();
-    return jsonResponse({ success: true, items: result.results }, 200, useCache);
+const SPECIALTY_COLUMNS = [
+    'menu_item_id', 'tag', 'tag_en', 'tag_ja', 'name', 'name_en', 'name_ja',
+    'description', 'description_en', 'description_ja', 'image', 'price', 'is_active'
+];
+
+async function invalidateSpecialtiesCache(env) {
+    await invalidateLangCache(env, CACHE_KEYS.SPECIALTIES);
+    console.log('🗑️ Specialties cache invalidated');
 }
 
-// Helper: Ensure thumbnail column exists
-async function ensureThumbnailColumn(env) {
-    try {
-        // Check if column exists by querying table info
-        const tableInfo = await env.hikari_db.prepare("PRAGMA table_info(menu_items)").all();
-        const hasThumbCol = tableInfo.results.some(col => col.name === 'thumbnail');
+// Public cards in display order, in the given language (French fallback)
+async function loadVisibleSpecialties(env, lang) {
+    await ensureMenuItemColumns(env);
+    const { results } = await env.hikari_db.prepare(`
+        SELECT s.*, m.name AS dish_name, m.name_en AS dish_name_en, m.name_ja AS dish_name_ja,
+            m.description AS dish_description, m.description_en AS dish_description_en,
+            m.description_ja AS dish_description_ja, m.image AS dish_image, m.price AS dish_price,
+            m.is_active AS dish_active
+        FROM specialties s LEFT JOIN menu_items m ON m.id = s.menu_item_id
+        WHERE s.is_active = 1
+        ORDER BY s.display_order, s.id
+    `).all();
+
+    return results
+        .filter(row => !row.menu_item_id || row.dish_active === 1)
+        .map(row => {
+            const own = localizeRow(row, Object.keys(SPECIALTY_FIELD_LIMITS), lang);
+            const dish = row.menu_item_id ? localizeMenuItem({
+                name: row.dish_name, name_en: row.dish_name_en, name_ja: row.dish_name_ja,
+                description: row.dish_description, description_en: row.dish_description_en,
+                description_ja: row.dish_description_ja
+            }, lang) : null;
+            return {
+                id: row.id,
+                menu_item_id: row.menu_item_id,
+                tag: own.tag,
+                name: dish ? dish.name : own.name,
+                description: own.description || dish?.description || null,
+                image: (dish && row.dish_image) || row.image,
+                price: dish ? row.dish_price : row.price
+            };
+        });
+}
 
-        if (!hasThumbCol) {
-            await env.hikari_db.prepare('ALTER TABLE menu_items ADD COLUMN thumbnail TEXT').run();
-            console.log('📊 Added thumbnail column to menu_items');
+async function getSpecialties(request, env) {
+    const lang = getRequestLang(new URL(request.url));
+    try {
+        const cached = await env.hikari_cache.get(langCacheKey(CACHE_KEYS.SPECIALTIES, lang));
+        if (cached) {
+            console.log(`📦 Serving specialties from cache (${lang})`);
+            return jsonResponse({ success: true, items: JSON.parse(cached), lang, cached: true }, 200, true);
         }
-        return true;
     } catch (e) {
-        console.error('Migration error:', e);
-        return false;
+        console.log('Cache miss, falling back to D1');
     }
+
+    return jsonResponse({ success: true, items: await loadVisibleSpecialties(env, lang), lang }, 200, true);
 }
 
-async function createMenuItem(request, env) {
-    const data = await request.json();
+// Admin: every specialty with its own columns, plus the linked dish for display
+async function getAllSpecialties(env) {
+    const { results } = await env.hikari_db.prepare(`
+        SELECT s.*, m.name AS dish_name, m.image AS dish_image, m.price AS dish_price, m.is_active AS dish_active
+        FROM specialties s LEFT JOIN menu_items m ON m.id = s.menu_item_id
+        ORDER BY s.display_order, s.id
+    `).all();
+    return jsonResponse({ success: true, items: results });
+}
 
-    // Ensure thumbnail column exists
-    await ensureThumbnailColumn(env);
+async function specialtyMenuItemExists(env, menuItemId) {
+    if (menuItemId === null) return true;
+    return Boolean(await env.hikari_db.prepare('SELECT id FROM menu_items WHERE id = ?').bind(menuItemId).first());
+}
+
+async function createSpecialty(request, env, actor) {
+    const parsed = parseSpecialty(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
+    }
+    const values = parsed.values;
+    if (!await specialtyMenuItemExists(env, values.menu_item_id)) {
+        return errorResponse('Menu item not found', 404);
+    }
 
+    // New specialties go after the existing ones
     const result = await env.hikari_db.prepare(`
-        INSERT INTO menu_items (name, description, price, category, image, thumbnail, badge, display_order)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-        data.name, data.description, data.price, data.category,
-        data.image, data.thumbnail || null, data.badge, data.display_order || 0
-    ).run();
+        INSERT INTO specialties (${SPECIALTY_COLUMNS.join(', ')}, display_order)
+        VALUES (${SPECIALTY_COLUMNS.map(() => '?').join(', ')}, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM specialties))
+    `).bind(...SPECIALTY_COLUMNS.map(column => values[column])).run();
 
-    // Invalidate menu cache after create
-    await env.hikari_cache.delete(CACHE_KEYS.MENU);
-    console.log('🗑️ Menu cache invalidated');
+    await invalidateSpecialtiesCache(env);
 
-    return jsonResponse({ success: true, id: result.meta.last_row_id });
+    const created = await env.hikari_db.prepare('SELECT * FROM specialties WHERE id = ?')
+        .bind(result.meta.last_row_id).first();
+    await logAudit(env, actor, 'create', 'specialty', result.meta.last_row_id, null, created);
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, item: created });
 }
 
-async function updateMenuItem(request, env, id) {
-    const data = await request.json();
+async function updateSpecialty(request, env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM specialties WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Specialty not found', 404);
+    }
 
-    // Ensure thumbnail column exists
-    await ensureThumbnailColumn(env);
+    const parsed = parseSpecialty(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
+    }
+    const values = parsed.values;
+    if (!await specialtyMenuItemExists(env, values.menu_item_id)) {
+        return errorResponse('Menu item not found', 404);
+    }
 
     await env.hikari_db.prepare(`
-        UPDATE menu_items SET
-        name = ?, description = ?, price = ?, category = ?,
-        image = ?, thumbnail = ?, badge = ?, display_order = ?, is_active = ?,
+        UPDATE specialties SET ${SPECIALTY_COLUMNS.map(column => `${column} = ?`).join(', ')},
         updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-    `).bind(
-        data.name, data.description, data.price, data.category,
-        data.image, data.thumbnail || null, data.badge, data.display_order || 0, data.is_active ?? 1, id
-    ).run();
+    `).bind(...SPECIALTY_COLUMNS.map(column => values[column]), id).run();
 
-    // Invalidate menu cache after update
-    await env.hikari_cache.delete(CACHE_KEYS.MENU);
-    console.log('🗑️ Menu cache invalidated');
+    await invalidateSpecialtiesCache(env);
+
+    const after = await env.hikari_db.prepare('SELECT * FROM specialties WHERE id = ?').bind(id).first();
+    await logAudit(env, actor, 'update', 'specialty', id, before, after);
 
     return jsonResponse({ success: true });
 }
 
-async function deleteMenuItem(env, id) {
-    await env.hikari_db.prepare('DELETE FROM menu_items WHERE id = ?').bind(id).run();
+// Body: { ids: [...] } - every specialty once, in the new order
+async function reorderSpecialties(request, env, actor) {
+    const { ids } = await request.json();
 
-    // Invalidate menu cache after delete
-    await env.hikari_cache.delete(CACHE_KEYS.MENU);
-    console.log('🗑️ Menu cache invalidated');
+    const current = await env.hikari_db.prepare(
+        'SELECT id FROM specialties ORDER BY display_order, id'
+    ).all();
+    const before = current.results.map(row => row.id);
+
+    const order = Array.isArray(ids) ? ids.map(Number) : [];
+    const sameSet = order.length === before.length
+        && new Set(order).size === order.length
+        && order.every(id => before.includes(id));
+    if (!sameSet) {
+        return errorResponse('ids must list every specialty exactly once');
+    }
+
+    await env.hikari_db.batch(order.map((id, index) =>
+        env.hikari_db.prepare('UPDATE specialties SET display_order = ? WHERE id = ?').bind(index + 1, id)
+    ));
+
+    await invalidateSpecialtiesCache(env);
+    await logAudit(env, actor, 'reorder', 'specialty', null, { order: before }, { order });
 
     return jsonResponse({ success: true });
 }
 
-// ===== RESERVATIONS HANDLERS =====
-
-async function createReservation(request, env) {
-    const data = await request.json();
+async function deleteSpecialty(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM specialties WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Specialty not found', 404);
+    }
+    await env.hikari_db.prepare('DELETE FROM specialties WHERE id = ?').bind(id).run();
 
-    const result = await env.hikari_db.prepare(`
-        INSERT INTO reservations (name, phone, email, guests, date, time, message)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-        data.name, data.phone, data.email, data.guests,
-        data.date, data.time, data.message || ''
-    ).run();
+    await invalidateSpecialtiesCache(env);
+    await logAudit(env, actor, 'delete', 'specialty', id, before);
 
-    return jsonResponse({ success: true, id: result.meta.last_row_id });
+    return jsonResponse({ success: true });
 }
 
-async function getAllReservations(request, env) {
-    const url = new URL(request.url);
-    const status = url.searchParams.get('status');
-    const date = url.searchParams.get('date');
+// Before a dish is deleted: its specialties keep a copy of what they showed and lose the link
+function unlinkSpecialtiesStatement(env, menuItemId) {
+    return env.hikari_db.prepare(`
+        UPDATE specialties SET
+            name = COALESCE(name, (SELECT name FROM menu_items WHERE id = ?1)),
+            image = COALESCE(image, (SELECT image FROM menu_items WHERE id = ?1)),
+            price = COALESCE(price, (SELECT price FROM menu_items WHERE id = ?1)),
+            menu_item_id = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE menu_item_id = ?1
+    `).bind(menuItemId);
+}
 
-    let query = 'SELECT * FROM reservations WHERE 1=1';
-    let params = [];
+// ===== ANNOUNCEMENTS HANDLERS =====
+// Short notices ("Fermeture exceptionnelle le 15 août", "Complet ce soir"...) shown at the
+// top of the site or in a modal. starts_at / ends_at are checked on every public request,
+// so the KV entry holds everything not yet over and an announcement goes live or away on
+// time without a cache refresh.
+const ANNOUNCEMENT_STYLES = ['info', 'warning', 'promo'];
+const ANNOUNCEMENT_DISPLAYS = ['banner', 'modal'];
+const ANNOUNCEMENT_FIELD_LIMITS = { message: 300, link_label: 40 };
+const ANNOUNCEMENT_LINK_MAX = 500;
+// External page, page of the site or section anchor (#reservation); /\host is //host to a browser
+const ANNOUNCEMENT_LINK_PATTERN = /^(https?:\/\/\S+|\/(?![\/\\])\S*|#[\w-]+)$/i;
+// Browsers and the CDN may keep the list a few minutes, not the usual hour
+const ANNOUNCEMENT_CACHE_CONTROL = { 'Cache-Control': 'public, max-age=300' };
+
+// Checks and normalizes a create/update body -> { values } or { error }
+function parseAnnouncement(data) {
+    const values = {};
+    for (const [field, max] of Object.entries(ANNOUNCEMENT_FIELD_LIMITS)) {
+        for (const lang of SUPPORTED_LANGS) {
+            const column = lang === DEFAULT_LANG ? field : `${field}_${lang}`;
+            const value = typeof data[column] === 'string' ? data[column].trim() : '';
+            if (value.length > max) return { error: `${column} must be at most ${max} characters` };
+            values[column] = value || null;
+        }
+    }
+    if (!values.message) return { error: 'message is required' };
 
-    if (status && status !== 'all') {
-        query += ' AND status = ?';
-        params.push(status);
+    const style = data.style === undefined || data.style === null || data.style === '' ? 'info' : data.style;
+    if (!ANNOUNCEMENT_STYLES.includes(style)) {
+        return { error: `style must be one of: ${ANNOUNCEMENT_STYLES.join(', ')}` };
     }
-    if (date) {
-        query += ' AND date = ?';
-        params.push(date);
+    const display = data.display === undefined || data.display === null || data.display === '' ? 'banner' : data.display;
+    if (!ANNOUNCEMENT_DISPLAYS.includes(display)) {
+        return { error: `display must be one of: ${ANNOUNCEMENT_DISPLAYS.join(', ')}` };
     }
 
-    query += ' ORDER BY created_at DESC';
+    const linkUrl = typeof data.link_url === 'string' ? data.link_url.trim() : '';
+    if (linkUrl && (linkUrl.length > ANNOUNCEMENT_LINK_MAX || !ANNOUNCEMENT_LINK_PATTERN.test(linkUrl))) {
+        return { error: 'link_url must be an http(s) URL, a site path or a #anchor' };
+    }
 
-    const result = await env.hikari_db.prepare(query).bind(...params).all();
-    return jsonResponse({ success: true, items: result.results });
+    const startsMs = data.starts_at ? Date.parse(data.starts_at) : null;
+    const endsMs = data.ends_at ? Date.parse(data.ends_at) : null;
+    if (Number.isNaN(startsMs) || Number.isNaN(endsMs)) {
+        return { error: 'Invalid date' };
+    }
+    if (startsMs !== null && endsMs !== null && endsMs <= startsMs) {
+        return { error: 'ends_at must be after starts_at' };
+    }
+
+    return {
+        values: {
+            ...values,
+            link_url: linkUrl || null,
+            style,
+            display,
+            starts_at: startsMs === null ? null : toSqlDate(startsMs),
+            ends_at: endsMs === null ? null : toSqlDate(endsMs),
+            is_dismissible: data.is_dismissible === false || data.is_dismissible === 0 ? 0 : 1,
+            is_active: data.is_active === false || data.is_active === 0 ? 0 : 1
+        }
+    };
 }
 
-async function updateReservation(request, env, id) {
-    const { status } = await request.json();
+const ANNOUNCEMENT_COLUMNS = [
+    'message', 'message_en', 'message_ja', 'style', 'display', 'link_url',
+    'link_label', 'link_label_en', 'link_label_ja', 'starts_at', 'ends_at', 'is_dismissible', 'is_active'
+];
 
-    await env.hikari_db.prepare(`
-        UPDATE reservations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `).bind(status, id).run();
+async function invalidateAnnouncementsCache(env) {
+    await env.hikari_cache.delete(CACHE_KEYS.ANNOUNCEMENTS);
+    console.log('🗑️ Announcements cache invalidated');
+}
 
-    return jsonResponse({ success: true });
+// Enabled announcements that have not ended yet (every language), in display order
+async function loadPendingAnnouncements(env) {
+    const { results } = await env.hikari_db.prepare(`
+        SELECT * FROM announcements
+        WHERE is_active = 1 AND (ends_at IS NULL OR ends_at > ?)
+        ORDER BY display_order, id
+    `).bind(toSqlDate(Date.now())).all();
+    return results;
 }
 
-async function deleteReservation(env, id) {
-    await env.hikari_db.prepare('DELETE FROM reservations WHERE id = ?').bind(id).run();
-    return jsonResponse({ success: true });
+// Public fields of the announcements running right now, in the given language
+function currentAnnouncements(rows, lang) {
+    const now = Date.now();
+    return rows
+        .filter(row => (!row.starts_at || parseSqlDate(row.starts_at) <= now)
+            && (!row.ends_at || parseSqlDate(row.ends_at) > now))
+        .map(row => {
+            const localized = localizeRow(row, Object.keys(ANNOUNCEMENT_FIELD_LIMITS), lang);
+            return {
+                id: row.id,
+                message: localized.message,
+                style: row.style,
+                display: row.display,
+                link_url: row.link_url,
+                link_label: row.link_url ? localized.link_label : null,
+                is_dismissible: row.is_dismissible,
+                ends_at: row.ends_at,
+                updated_at: row.updated_at
+            };
+        });
 }
 
-// ===== GALLERY HANDLERS =====
+async function getAnnouncements(request, env) {
+    const lang = getRequestLang(new URL(request.url));
+    try {
+        const cached = await env.hikari_cache.get(CACHE_KEYS.ANNOUNCEMENTS);
+        if (cached) {
+            console.log('📦 Serving announcements from cache');
+            return jsonResponse({
+                success: true, items: currentAnnouncements(JSON.parse(cached), lang), lang, cached: true
+            }, 200, false, ANNOUNCEMENT_CACHE_CONTROL);
+        }
+    } catch (e) {
+        console.log('Cache miss, falling back to D1');
+    }
+
+    const rows = await loadPendingAnnouncements(env);
+    return jsonResponse({ success: true, items: currentAnnouncements(rows, lang), lang }, 200, false, ANNOUNCEMENT_CACHE_CONTROL);
+}
 
-async function getGallery(env) {
+// Admin: every announcement, past, current and upcoming
+async function getAllAnnouncements(env) {
     const result = await env.hikari_db.prepare(
-        'SELECT * FROM gallery WHERE is_active = 1 ORDER BY display_order'
+        'SELECT * FROM announcements ORDER BY display_order, id'
     ).all();
     return jsonResponse({ success: true, items: result.results });
 }
 
-async function createGalleryItem(request, env) {
-    const data = await request.json();
+async function createAnnouncement(request, env, actor) {
+    const parsed = parseAnnouncement(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
+    }
+    const values = parsed.values;
 
+    // New announcements go after the existing ones
     const result = await env.hikari_db.prepare(`
-        INSERT INTO gallery (title, image_url, thumbnail_url, display_order)
-        VALUES (?, ?, ?, ?)
-    `).bind(data.title, data.image_url, data.thumbnail_url, data.display_order || 0).run();
+        INSERT INTO announcements (${ANNOUNCEMENT_COLUMNS.join(', ')}, display_order)
+        VALUES (${ANNOUNCEMENT_COLUMNS.map(() => '?').join(', ')}, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM announcements))
+    `).bind(...ANNOUNCEMENT_COLUMNS.map(column => values[column])).run();
 
-    return jsonResponse({ success: true, id: result.meta.last_row_id });
+    await invalidateAnnouncementsCache(env);
+
+    const created = await env.hikari_db.prepare('SELECT * FROM announcements WHERE id = ?')
+        .bind(result.meta.last_row_id).first();
+    await logAudit(env, actor, 'create', 'announcement', result.meta.last_row_id, null, created);
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, item: created });
 }
 
-async function deleteGalleryItem(env, id) {
-    await env.hikari_db.prepare('DELETE FROM gallery WHERE id = ?').bind(id).run();
+async function updateAnnouncement(request, env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM announcements WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Announcement not found', 404);
+    }
+
+    const parsed = parseAnnouncement(await request.json());
+    if (parsed.error) {
+        return errorResponse(parsed.error);
+    }
+    const values = parsed.values;
+
+    await env.hikari_db.prepare(`
+        UPDATE announcements SET ${ANNOUNCEMENT_COLUMNS.map(column => `${column} = ?`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(...ANNOUNCEMENT_COLUMNS.map(column => values[column]), id).run();
+
+    await invalidateAnnouncementsCache(env);
+
+    const after = await env.hikari_db.prepare('SELECT * FROM announcements WHERE id = ?').bind(id).first();
+    await logAudit(env, actor, 'update', 'announcement', id, before, after);
+
+    return jsonResponse({ success: true, item: after });
+}
+
+// Body: { ids: [...] } - every announcement once, in the new order
+async function reorderAnnouncements(request, env, actor) {
+    const { ids } = await request.json();
+
+    const current = await env.hikari_db.prepare(
+        'SELECT id FROM announcements ORDER BY display_order, id'
+    ).all();
+    const before = current.results.map(row => row.id);
+
+    const order = Array.isArray(ids) ? ids.map(Number) : [];
+    const sameSet = order.length === before.length
+        && new Set(order).size === order.length
+        && order.every(id => before.includes(id));
+    if (!sameSet) {
+        return errorResponse('ids must list every announcement exactly once');
+    }
+
+    await env.hikari_db.batch(order.map((id, index) =>
+        env.hikari_db.prepare('UPDATE announcements SET display_order = ? WHERE id = ?').bind(index + 1, id)
+    ));
+
+    await invalidateAnnouncementsCache(env);
+    await logAudit(env, actor, 'reorder', 'announcement', null, { order: before }, { order });
+
+    return jsonResponse({ success: true });
+}
+
+async function deleteAnnouncement(env, id, actor) {
+    const before = await env.hikari_db.prepare('SELECT * FROM announcements WHERE id = ?').bind(id).first();
+    if (!before) {
+        return errorResponse('Announcement not found', 404);
+    }
+    await env.hikari_db.prepare('DELETE FROM announcements WHERE id = ?').bind(id).run();
+
+    await invalidateAnnouncementsCache(env);
+    await logAudit(env, actor, 'delete', 'announcement', id, before);
+
     return jsonResponse({ success: true });
 }
 
@@ -1045,23 +5618,77 @@ async function getSettings(env, useCache = true) {
     return jsonResponse({ success: true, settings });
 }
 
-async function updateSettings(request, env) {
+async function updateSettings(request, env, actor) {
     const data = await request.json();
 
+    // Snapshot only the keys being changed
+    const before = {};
+    const after = {};
+
     for (const [key, value] of Object.entries(data)) {
+        const stored = typeof value === 'object' ? JSON.stringify(value) : value;
+        const previous = await env.hikari_db.prepare('SELECT value FROM settings WHERE key = ?').bind(key).first();
+        before[key] = previous ? previous.value : null;
+        after[key] = stored;
+
         await env.hikari_db.prepare(`
             INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
             ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
-        `).bind(key, typeof value === 'object' ? JSON.stringify(value) : value).run();
+        `).bind(key, stored).run();
     }
 
     // Invalidate settings cache after update
     await env.hikari_cache.delete(CACHE_KEYS.SETTINGS);
     console.log('🗑️ Settings cache invalidated');
 
+    await logAudit(env, actor, 'update', 'settings', null, before, after);
+
     return jsonResponse({ success: true });
 }
 
+// ===== AUDIT LOG HANDLER =====
+
+// Filterable, paginated history (newest first)
+async function getAuditLog(url, env) {
+    const params = url.searchParams;
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const limit = Math.min(AUDIT_MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || AUDIT_PAGE_SIZE));
+
+    let where = ' WHERE 1=1';
+    const bindings = [];
+
+    for (const column of ['entity', 'entity_id', 'action', 'user_id']) {
+        const value = params.get(column);
+        if (value && value !== 'all') {
+            where += ` AND ${column} = ?`;
+            bindings.push(value);
+        }
+    }
+    // Dates are YYYY-MM-DD, both bounds inclusive
+    if (params.get('from')) {
+        where += ' AND date(created_at) >= date(?)';
+        bindings.push(params.get('from'));
+    }
+    if (params.get('to')) {
+        where += ' AND date(created_at) <= date(?)';
+        bindings.push(params.get('to'));
+    }
+
+    const total = await env.hikari_db.prepare(`SELECT COUNT(*) as count FROM audit_log${where}`)
+        .bind(...bindings).first();
+    const { results } = await env.hikari_db.prepare(
+        `SELECT * FROM audit_log${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`
+    ).bind(...bindings, limit, (page - 1) * limit).all();
+
+    const items = results.map(row => ({
+        ...row,
+        before_data: row.before_data ? JSON.parse(row.before_data) : null,
+        after_data: row.after_data ? JSON.parse(row.after_data) : null
+    }));
+
+    return jsonResponse({ success: true, items, total: total.count, page, limit });
+}
+
 // ===== STATS HANDLER =====
 
 async function getStats(env) {
@@ -1083,7 +5710,7 @@ async function getStats(env) {
 
 // ===== R2 IMAGE UPLOAD HANDLER =====
 
-async function uploadImage(request, env) {
+async function uploadImage(request, env, actor) {
     try {
         const contentType = request.headers.get('Content-Type') || '';
 
@@ -1147,8 +5774,9 @@ async function uploadImage(request, env) {
                     httpMetadata: { contentType: mimeType || 'image/webp' }
                 });
 
-                const customUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${customKey}`;
+                const customUrl = getAssetUrl(env, customKey);
                 console.log(`🖼️ Image uploaded to custom folder: ${customKey} (${Math.round(imageData.byteLength / 1024)}KB)`);
+                await logAudit(env, actor, 'upload', 'image', customKey, null, { url: customUrl, size: imageData.byteLength });
 
                 return jsonResponse({
                     success: true,
@@ -1180,13 +5808,16 @@ async function uploadImage(request, env) {
             await env.hikari_assets.put(thumbnailKey, thumbnailData, {
                 httpMetadata: { contentType: 'image/webp' }
             });
-            thumbnailUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${thumbnailKey}`;
+            thumbnailUrl = getAssetUrl(env, thumbnailKey);
             console.log(`📷 Thumbnail uploaded: ${thumbnailKey} (${Math.round(thumbnailData.byteLength / 1024)}KB)`);
         }
 
-        const publicUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${key}`;
+        const publicUrl = getAssetUrl(env, key);
 
         console.log(`🖼️ Image uploaded: ${key} (${Math.round(imageData.byteLength / 1024)}KB)`);
+        await logAudit(env, actor, 'upload', 'image', key, null, {
+            url: publicUrl, thumbnailKey, size: imageData.byteLength
+        });
 
         return jsonResponse({
             success: true,
@@ -1201,7 +5832,7 @@ async function uploadImage(request, env) {
     }
 }
 
-async function deleteImage(env, key) {
+async function deleteImage(env, key, actor) {
     try {
         // Decode the key (in case it's URL encoded)
         const decodedKey = decodeURIComponent(key);
@@ -1220,6 +5851,7 @@ async function deleteImage(env, key) {
         }
 
         console.log('🗑️ Image deleted:', decodedKey);
+        await logAudit(env, actor, 'delete', 'image', decodedKey, { key: decodedKey, thumbnailKey: thumbKey });
 
         return jsonResponse({ success: true });
     } catch (error) {
@@ -1231,7 +5863,7 @@ async function deleteImage(env, key) {
 // ===== UPLOAD CONTENT IMAGE (PRE-RESIZED) =====
 // Images are resized on frontend to exact display dimensions before upload
 // This saves storage and ensures optimal delivery
-async function uploadContentImage(request, env) {
+async function uploadContentImage(request, env, actor) {
     try {
         const { image, contentType, filename } = await request.json();
 
@@ -1266,8 +5898,10 @@ async function uploadContentImage(request, env) {
                 folder = 'specialties';
             } else if (contentType === 'reservation' || contentType === 'reservation-bg') {
                 folder = 'reservation';
-            } else if (contentType === 'gallery') {
+            } else if (contentType.startsWith('gallery')) {
                 folder = 'gallery';
+            } else if (contentType === 'testimonial') {
+                folder = 'testimonials';
             }
         }
 
@@ -1282,10 +5916,13 @@ async function uploadContentImage(request, env) {
             httpMetadata: { contentType: 'image/webp' }
         });
 
-        const publicUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${key}`;
+        const publicUrl = getAssetUrl(env, key);
         const sizeKB = Math.round(imageData.byteLength / 1024);
 
         console.log(`🖼️ Content image uploaded: ${key} (${sizeKB}KB) - Type: ${contentType || 'unknown'}`);
+        await logAudit(env, actor, 'upload', 'image', key, null, {
+            url: publicUrl, contentType: contentType || null, size: imageData.byteLength
+        });
 
         // Get expected dimensions for logging
         const expectedSize = contentType ? IMAGE_SIZES[contentType] : null;
@@ -1307,10 +5944,10 @@ async function uploadContentImage(request, env) {
 }
 
 // ===== MIGRATE THUMBNAILS FOR EXISTING IMAGES =====
-async function migrateThumbnails(env) {
+async function migrateThumbnails(env, actor) {
     try {
         // Ensure thumbnail column exists
-        await ensureThumbnailColumn(env);
+        await ensureMenuItemColumns(env);
 
         // Get all menu items with images but no thumbnails
         const items = await env.hikari_db.prepare(`
@@ -1350,7 +5987,7 @@ async function migrateThumbnails(env) {
 
                 if (existingThumb) {
                     // Thumbnail exists, just update database
-                    const thumbnailUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${thumbKey}`;
+                    const thumbnailUrl = getAssetUrl(env, thumbKey);
                     await env.hikari_db.prepare('UPDATE menu_items SET thumbnail = ? WHERE id = ?')
                         .bind(thumbnailUrl, item.id).run();
                     results.success++;
@@ -1384,7 +6021,7 @@ async function migrateThumbnails(env) {
                     httpMetadata: { contentType: originalImage.httpMetadata?.contentType || 'image/webp' }
                 });
 
-                const thumbnailUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${thumbKey}`;
+                const thumbnailUrl = getAssetUrl(env, thumbKey);
 
                 // Update database
                 await env.hikari_db.prepare('UPDATE menu_items SET thumbnail = ? WHERE id = ?')
@@ -1412,6 +6049,9 @@ async function migrateThumbnails(env) {
         console.log('🔄 Cache refreshed after migration');
 
         console.log(`✅ Migration complete: ${results.success} success, ${results.failed} failed, ${results.skipped} skipped`);
+        await logAudit(env, actor, 'migrate_thumbnails', 'menu', null, null, {
+            total: results.total, success: results.success, failed: results.failed, skipped: results.skipped
+        });
 
         return jsonResponse({
             success: true,
@@ -1487,11 +6127,9 @@ async function serveImage(env, key, options = {}, request = null) {
                     }
                 };
 
-                // Create a new request to fetch resized image through Cloudflare
-                const imageUrl = `https://hikari-sushi-api.nguyenphuockhai1234123.workers.dev/assets/${key}`;
-
                 try {
-                    // Fetch the original image and let Cloudflare resize it
+                    // Fetch the original image through Cloudflare and let it resize
+                    const imageUrl = getAssetUrl(env, key);
                     const resizedResponse = await fetch(imageUrl, resizeOptions);
 
                     if (resizedResponse.ok) {